@@ -0,0 +1,150 @@
+'use strict';
+
+const test = require('tape');
+const OGMNeoHooks = require('../lib/ogmneo-hooks');
+const OGMNeoNode = require('../lib/ogmneo-node');
+const OGMNeoRelation = require('../lib/ogmneo-relation');
+const OGMNeoQuery = require('../lib/ogmneo-query');
+const OGMNeoWhere = require('../lib/ogmneo-where');
+const _ = require('lodash');
+
+test('Test FAIL register hooks', (assert) => {
+    assert.throws(() => {
+        OGMNeoHooks.onNode('', 'beforeCreate', () => {});
+    }, /The hook label or type must be a non empty string/);
+    assert.throws(() => {
+        OGMNeoHooks.onNode('User', 'beforeSave', () => {});
+    }, /The hook event must be one of beforeCreate, afterCreate, beforeUpdate, afterUpdate, beforeDelete, afterDelete, afterFind/);
+    assert.throws(() => {
+        OGMNeoHooks.onRelation('WROTE', 'afterFind', () => {});
+    }, /The hook event must be one of beforeCreate, afterCreate, beforeUpdate, afterUpdate, beforeDelete, afterDelete/);
+    assert.throws(() => {
+        OGMNeoHooks.onRelation('WROTE', 'afterCreate', null);
+    }, /The hook must be a function/);
+    assert.end();
+});
+
+test('Test run hooks in order', (assert) => {
+    let calls = [];
+    OGMNeoHooks.onNode('User', 'beforeCreate', (payload, context) => {
+        calls.push(`User ${context.event} ${context.labels.join(':')}`);
+        payload.createdBy = 'admin';
+    });
+    OGMNeoHooks.onNode('*', 'beforeCreate', (payload) => {
+        calls.push('*');
+        return Promise.resolve(_.assign({ audited: true }, payload));
+    });
+    OGMNeoHooks.onNode('Other', 'beforeCreate', () => {
+        calls.push('Other');
+    });
+    assert.true(OGMNeoHooks.hasNodeHooks(['beforeCreate']));
+    assert.false(OGMNeoHooks.hasNodeHooks(['afterCreate']));
+    OGMNeoHooks.runNodeHooks('User', 'beforeCreate', { name: 'a' }, { labels: ['User'] }).then((payload) => {
+        assert.deepEqual(calls, ['*', 'User beforeCreate User']);
+        assert.deepEqual(payload, { audited: true, name: 'a', createdBy: 'admin' });
+        OGMNeoHooks.clear();
+        assert.false(OGMNeoHooks.hasNodeHooks(['beforeCreate']));
+        assert.end();
+    });
+});
+
+test('Test remove hooks', (assert) => {
+    let hook = () => {};
+    OGMNeoHooks.onRelation('WROTE', 'afterDelete', hook);
+    OGMNeoHooks.onRelation('WROTE', 'afterDelete', () => {});
+    OGMNeoHooks.offRelation('WROTE', 'afterDelete', hook);
+    assert.true(OGMNeoHooks.hasRelationHooks(['afterDelete']));
+    OGMNeoHooks.offRelation('WROTE', 'afterDelete');
+    assert.false(OGMNeoHooks.hasRelationHooks(['afterDelete']));
+    OGMNeoHooks.onNode('User', 'afterFind', hook);
+    OGMNeoHooks.offNode('User', 'afterFind', hook);
+    assert.false(OGMNeoHooks.hasNodeHooks(['afterFind']));
+    assert.end();
+});
+
+test('Test hook aborts node create', (assert) => {
+    OGMNeoHooks.onNode('HookTest', 'beforeCreate', () => {
+        throw new Error('Not allowed');
+    });
+    OGMNeoNode.create({ name: 'aborted' }, 'HookTest').catch((error) => {
+        assert.equal(error.message, 'Not allowed');
+        OGMNeoHooks.clear();
+        assert.end();
+    });
+});
+
+test('Test hook aborts relation create', (assert) => {
+    let since = new Date('2017-05-20T05:28:02.719Z');
+    let properties = { a: 1, since: since };
+    OGMNeoHooks.onRelation('HOOKED', 'beforeCreate', (payload, context) => {
+        assert.deepEqual(context, { event: 'beforeCreate', type: 'HOOKED', startNodeId: 1, endNodeId: 2 });
+        assert.equal(payload.since, since);
+        return Promise.reject(new Error('Not allowed relation'));
+    });
+    OGMNeoRelation.relate(1, 'HOOKED', 2, properties).catch((error) => {
+        assert.equal(error.message, 'Not allowed relation');
+        assert.equal(properties.since, since);
+        OGMNeoRelation.updateOperation(1, properties);
+        OGMNeoRelation.relateMergeOperation(1, 'HOOKED', 2, properties);
+        assert.equal(properties.since, since);
+        OGMNeoHooks.clear();
+        assert.end();
+    });
+});
+
+test('Test node hooks around create, update, find and delete', (assert) => {
+    let events = [];
+    ['beforeCreate', 'afterCreate', 'beforeUpdate', 'afterUpdate', 'beforeDelete', 'afterDelete', 'afterFind'].forEach((event) => {
+        OGMNeoHooks.onNode('HookTest', event, (payload, context) => {
+            events.push(event);
+            assert.deepEqual(context.labels, ['HookTest']);
+            if (event === 'beforeCreate' || event === 'beforeUpdate') {
+                payload.updatedBy = `${context.event}-hook`;
+            } else if (event === 'afterFind') {
+                payload.found = true;
+            }
+        });
+    });
+    OGMNeoNode.create({ name: 'hooked' }, 'HookTest').then((node) => {
+        assert.equal(node.updatedBy, 'beforeCreate-hook');
+        return OGMNeoNode.update({ id: node.id, name: 'hooked2' });
+    }).then((node) => {
+        assert.equal(node.updatedBy, 'beforeUpdate-hook');
+        return OGMNeoNode.find(OGMNeoQuery.create('HookTest').where(OGMNeoWhere.create('name', { $eq: 'hooked2' })));
+    }).then((nodes) => {
+        assert.true(_.first(nodes).found);
+        return OGMNeoNode.delete(_.first(nodes));
+    }).then((deleted) => {
+        assert.true(deleted);
+        assert.deepEqual(events, ['beforeCreate', 'afterCreate', 'beforeUpdate', 'afterUpdate', 'afterFind', 'beforeDelete', 'afterDelete']);
+        OGMNeoHooks.clear();
+        assert.end();
+    });
+});
+
+test('Test relation hooks around relate, update and delete', (assert) => {
+    let events = [];
+    ['beforeCreate', 'afterCreate', 'beforeUpdate', 'afterUpdate', 'beforeDelete', 'afterDelete'].forEach((event) => {
+        OGMNeoHooks.onRelation('HOOKED', event, (payload, context) => {
+            events.push(`${event} ${context.type}`);
+            if (event === 'beforeCreate') {
+                payload.audit = 'created';
+            }
+        });
+    });
+    Promise.all([OGMNeoNode.create({ name: 'a' }, 'HookTest'), OGMNeoNode.create({ name: 'b' }, 'HookTest')]).then((nodes) => {
+        return OGMNeoRelation.relate(nodes[0].id, 'HOOKED', nodes[1].id, { since: 1 });
+    }).then((relation) => {
+        assert.equal(relation.audit, 'created');
+        return OGMNeoRelation.update(relation.id, { since: 2 });
+    }).then((relation) => {
+        assert.equal(relation.since, 2);
+        return OGMNeoRelation.deleteRelation(relation.id);
+    }).then(() => {
+        assert.deepEqual(events, ['beforeCreate HOOKED', 'afterCreate HOOKED', 'beforeUpdate HOOKED', 'afterUpdate HOOKED', 'beforeDelete HOOKED', 'afterDelete HOOKED']);
+        OGMNeoHooks.clear();
+        return OGMNeoNode.deleteMany(OGMNeoQuery.create('HookTest'));
+    }).then(() => {
+        assert.end();
+    });
+});
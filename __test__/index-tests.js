@@ -2,6 +2,7 @@
 
 const test = require('tape');
 const OGMNeoIndex = require('../lib/ogmneo-index');
+const OGMNeoModel = require('../lib/ogmneo-model');
 
 test('Test create Index', (assert) => {    
    OGMNeoIndex.create('object', ['name','test']).then((result) => {
@@ -45,3 +46,113 @@ test('Test drop Index', (assert) => {
     })
 });
 
+
+test('Test constraint operations', (assert) => {
+    assert.equals(OGMNeoIndex.createUniqueOperation('object', 'email').cypher, 'CREATE CONSTRAINT ON (n:object) ASSERT n.email IS UNIQUE');
+    assert.equals(OGMNeoIndex.dropUniqueOperation('object', 'email').cypher, 'DROP CONSTRAINT ON (n:object) ASSERT n.email IS UNIQUE');
+    assert.equals(OGMNeoIndex.createNodeKeyOperation('object', ['first', 'last']).cypher, 'CREATE CONSTRAINT ON (n:object) ASSERT (n.first, n.last) IS NODE KEY');
+    assert.equals(OGMNeoIndex.dropExistsOperation('object', 'name').cypher, 'DROP CONSTRAINT ON (n:object) ASSERT exists(n.name)');
+    assert.throws(() => {
+        OGMNeoIndex.createUniqueOperation('', 'email');
+    }, /The constraint label must be a non empty string/);
+    assert.throws(() => {
+        OGMNeoIndex.createNodeKeyOperation('object', ['first', '']);
+    }, /The constraint properties must be non empty strings/);
+    assert.throws(() => {
+        OGMNeoIndex.createExistsOperation('object', ['first', 'last']);
+    }, /The unique and exists constraints must have only one property/);
+    assert.end();
+});
+
+test('Test schema descriptors', (assert) => {
+    assert.deepEqual(OGMNeoIndex._indexDescriptor({ description: 'INDEX ON :object(name, test)', type: 'node_label_property' }), { type: 'index', label: 'object', properties: ['name', 'test'] });
+    assert.deepEqual(OGMNeoIndex._indexDescriptor({ labelsOrTypes: ['object'], properties: ['name'], uniqueness: 'NONUNIQUE' }), { type: 'index', label: 'object', properties: ['name'] });
+    assert.equals(OGMNeoIndex._indexDescriptor({ description: 'INDEX ON :object(email)', type: 'node_unique_property' }), null);
+    assert.deepEqual(OGMNeoIndex._constraintDescriptor('CONSTRAINT ON ( object:object ) ASSERT object.email IS UNIQUE'), { type: 'unique', label: 'object', properties: ['email'] });
+    assert.deepEqual(OGMNeoIndex._constraintDescriptor('CONSTRAINT ON ( object:object ) ASSERT (object.first, object.last) IS NODE KEY'), { type: 'nodeKey', label: 'object', properties: ['first', 'last'] });
+    assert.deepEqual(OGMNeoIndex._constraintDescriptor('CONSTRAINT ON ( object:object ) ASSERT exists(object.name)'), { type: 'exists', label: 'object', properties: ['name'] });
+    assert.deepEqual(OGMNeoIndex._constraintDescriptor('CONSTRAINT ON ()-[ knows:KNOWS ]-() ASSERT exists(knows.since)'), { type: 'exists', relationType: 'KNOWS', properties: ['since'] });
+    assert.deepEqual(OGMNeoIndex._constraintDescriptor('SOMETHING NEW'), { type: 'unknown', description: 'SOMETHING NEW' });
+    assert.end();
+});
+
+test('Test create, list and drop unique constraint', (assert) => {
+    OGMNeoIndex.createUnique('object', 'email').then(() => {
+        return OGMNeoIndex.list();
+    }).then((descriptors) => {
+        assert.deepEqual(descriptors.filter(descriptor => descriptor.label === 'object' && descriptor.type === 'unique'), [{ type: 'unique', label: 'object', properties: ['email'] }]);
+        return OGMNeoIndex.dropUnique('object', 'email');
+    }).then((result) => {
+        assert.notEqual(result, null);
+        assert.end();
+    }).catch((error) => {
+        assert.fail(error);
+        assert.end();
+    });
+});
+
+test('Test schema declarations', (assert) => {
+    let model = OGMNeoModel.define('SyncUser', { email: { type: 'string', unique: true }, name: { type: 'string', index: true, exists: true }, age: 'integer' });
+    assert.deepEqual(model.indexes, [{ type: 'index', label: 'SyncUser', properties: ['name'] }, { type: 'unique', label: 'SyncUser', properties: ['email'] }, { type: 'exists', label: 'SyncUser', properties: ['name'] }]);
+    let descriptors = OGMNeoIndex._schemaDescriptors({ object: { index: ['age', ['first', 'last']], nodeKey: [['first', 'last']] } });
+    assert.deepEqual(descriptors.map(descriptor => OGMNeoIndex._schemaCypher('CREATE', descriptor)), [
+        'CREATE INDEX ON :object(age)',
+        'CREATE INDEX ON :object(first, last)',
+        'CREATE CONSTRAINT ON (n:object) ASSERT (n.first, n.last) IS NODE KEY'
+    ]);
+    descriptors = OGMNeoIndex._schemaDescriptors([model, { type: 'exists', relationType: 'KNOWS', properties: 'since' }]);
+    assert.equals(descriptors.length, 4);
+    assert.equals(OGMNeoIndex._schemaCypher('DROP', descriptors[3]), 'DROP CONSTRAINT ON ()-[r:KNOWS]-() ASSERT exists(r.since)');
+    assert.throws(() => {
+        OGMNeoIndex._schemaDescriptors([{ type: 'fulltext', label: 'object', properties: ['name'] }]);
+    }, /The schema type fulltext must be one of index, unique, nodeKey, exists/);
+    assert.throws(() => {
+        OGMNeoIndex._schemaDescriptors({ object: { index: [''] } });
+    }, /The index properties must be non empty strings/);
+    assert.throws(() => {
+        OGMNeoIndex._schemaDescriptors('object');
+    }, /The schema must be an array of models and descriptors or an object keyed by label/);
+    assert.end();
+});
+
+test('Test sync schema', (assert) => {
+    let schema = { object: { index: ['synced'], unique: ['code'] } };
+    OGMNeoIndex.sync(schema, { dryRun: true }).then((statements) => {
+        assert.deepEqual(statements, ['CREATE INDEX ON :object(synced)', 'CREATE CONSTRAINT ON (n:object) ASSERT n.code IS UNIQUE']);
+        return OGMNeoIndex.sync(schema);
+    }).then(() => {
+        return OGMNeoIndex.sync(schema, { dryRun: true });
+    }).then((statements) => {
+        assert.deepEqual(statements, []);
+        return OGMNeoIndex.sync(schema, { dryRun: true, dropUnknown: true });
+    }).then((statements) => {
+        assert.equals(statements.every(cypher => cypher.startsWith('DROP')), true);
+        return OGMNeoIndex.dropUnique('object', 'code');
+    }).then(() => {
+        return OGMNeoIndex.drop('object', 'synced');
+    }).then((result) => {
+        assert.notEqual(result, null);
+        assert.end();
+    }).catch((error) => {
+        assert.fail(error);
+        assert.end();
+    });
+});
+
+test('Test full-text index operations', (assert) => {
+    assert.equals(OGMNeoIndex.fullText.createOperation('people', ['Person', 'Author'], ['name', 'bio']).cypher, 'CALL db.index.fulltext.createNodeIndex(\'people\', [\'Person\', \'Author\'], [\'name\', \'bio\'])');
+    assert.equals(OGMNeoIndex.fullText.dropOperation('it\'s').cypher, 'CALL db.index.fulltext.drop(\'it\\\'s\')');
+    assert.deepEqual(OGMNeoIndex._indexDescriptor({ indexName: 'people', tokenNames: ['Person'], properties: ['name', 'bio'], type: 'node_fulltext' }), { type: 'fullText', name: 'people', labels: ['Person'], properties: ['name', 'bio'] });
+    let descriptors = OGMNeoIndex._schemaDescriptors([{ type: 'fullText', name: 'people', labels: 'Person', properties: ['name'] }]);
+    assert.equals(OGMNeoIndex._schemaCypher('CREATE', descriptors[0]), 'CALL db.index.fulltext.createNodeIndex(\'people\', [\'Person\'], [\'name\'])');
+    assert.throws(() => {
+        OGMNeoIndex.fullText.createOperation('', ['Person'], ['name']);
+    }, /The full-text index name must be a non empty string/);
+    assert.throws(() => {
+        OGMNeoIndex.fullText.createOperation('people', [], ['name']);
+    }, /The full-text index labels must be non empty strings/);
+    assert.throws(() => {
+        OGMNeoIndex.fullText.createOperation('people', ['Person'], [null]);
+    }, /The full-text index properties must be non empty strings/);
+    assert.end();
+});
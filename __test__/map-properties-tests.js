@@ -0,0 +1,78 @@
+'use strict';
+
+const test = require('tape');
+const OGMNeoMapProperties = require('../lib/ogmneo-map-properties');
+const OGMNeoNode = require('../lib/ogmneo-node');
+const OGMNeoQuery = require('../lib/ogmneo-query');
+const OGMNeoModel = require('../lib/ogmneo-model');
+const neo4j = require('neo4j-driver').v1;
+
+test('Test declare map properties', (assert) => {
+    OGMNeoMapProperties.define('MapUser', { address: 'flatten' });
+    OGMNeoMapProperties.define('MapUser', { settings: 'json' });
+    OGMNeoMapProperties.define('MapAdmin', { permissions: 'json' });
+    assert.deepEqual(OGMNeoMapProperties.properties('MapUser'), { address: 'flatten', settings: 'json' });
+    assert.deepEqual(OGMNeoMapProperties.properties(['MapUser', 'MapAdmin']), { address: 'flatten', settings: 'json', permissions: 'json' });
+    assert.deepEqual(OGMNeoMapProperties.properties('Other'), {});
+    assert.throws(() => {
+        OGMNeoMapProperties.define('', { address: 'json' });
+    }, /The map properties label must be a non empty string/);
+    assert.throws(() => {
+        OGMNeoMapProperties.define('MapUser', { address: 'xml' });
+    }, /The strategy of map property address must be one of json, flatten/);
+    assert.end();
+});
+
+test('Test serialize and deserialize map properties', (assert) => {
+    let user = { name: 'a', address: { city: 'Recife', zip_code: '50000' }, settings: { theme: { dark: true } } };
+    let stored = OGMNeoMapProperties.serialize('MapUser', user);
+    assert.deepEqual(stored, { name: 'a', address_city: 'Recife', address_zip_code: '50000', address__keys: ['city', 'zip_code'], settings: '{"theme":{"dark":true}}' });
+    assert.deepEqual(OGMNeoMapProperties.deserialize('MapUser', stored), user);
+    assert.deepEqual(OGMNeoMapProperties.deserialize('MapUser', { name: 'b', settings: 'plain' }), { name: 'b', settings: 'plain' });
+    assert.deepEqual(OGMNeoMapProperties.serialize('MapUser', { name: 'c', address: null }, { address: ['city'] }), { name: 'c', address_city: null, address__keys: null });
+    assert.deepEqual(OGMNeoMapProperties.serialize('MapUser', { settings: null }), { settings: null });
+    assert.end();
+});
+
+test('Test flattened map keys are recorded', (assert) => {
+    let stored = { address_city: 'Recife', address_verified: true, address__keys: ['city'] };
+    assert.deepEqual(OGMNeoMapProperties.deserialize('MapUser', stored), { address: { city: 'Recife' }, address_verified: true });
+    assert.deepEqual(OGMNeoMapProperties.deserialize('MapUser', { address_verified: true }), { address_verified: true });
+    let updated = OGMNeoMapProperties.serialize('MapUser', { address: { city: 'Natal' } }, { address: ['city', 'street'] });
+    assert.deepEqual(updated, { address_city: 'Natal', address_street: null, address__keys: ['city'] });
+    assert.deepEqual(OGMNeoMapProperties.flattenedProperties('MapUser', { address: null, settings: {}, name: 'a' }), ['address']);
+    assert.deepEqual(OGMNeoMapProperties.flattenedProperties('MapUser', { settings: {} }), []);
+    assert.equal(OGMNeoMapProperties.storedKeysCypher(['address']), 'RETURN n.address__keys AS address');
+    assert.throws(() => {
+        OGMNeoMapProperties.serialize('MapUser', { address: 'Recife' });
+    }, /The map property address must be an object to be flattened/);
+    assert.throws(() => {
+        OGMNeoMapProperties.serialize('MapUser', { address: { geo: { lat: 1 } } });
+    }, /The flattened map property address can't have nested maps, use json for them/);
+    assert.end();
+});
+
+test('Test node operations with map properties', (assert) => {
+    let operation = OGMNeoNode.createOperation({ name: 'a', address: { city: 'Recife' } }, 'MapUser');
+    assert.equal(operation.cypher, 'CREATE (n:MapUser {  name : {name}, address_city : {address_city}, address__keys : {address__keys} }) RETURN n');
+    assert.deepEqual(operation.object, { name: 'a', address_city: 'Recife', address__keys: ['city'] });
+    operation = OGMNeoNode.updateOperation({ id: 1, settings: { theme: 'dark' }, __labels: ['MapUser'] });
+    assert.deepEqual(operation.object, { id: 1, settings: '{"theme":"dark"}', __labels: ['MapUser'] });
+    operation = OGMNeoNode.updateManyOperation(OGMNeoQuery.create('MapUser'), { address: { city: 'Natal' } });
+    assert.equal(operation.cypher, 'MATCH (n:MapUser) SET n+={  address_city : {address_city}, address__keys : {address__keys} } RETURN n');
+    let node = { identity: neo4j.int(1), labels: ['MapUser'], properties: { name: 'a', address_city: 'Recife', address__keys: ['city'], settings: '{"theme":"dark"}' } };
+    let parsed = OGMNeoNode.findOneOperation(OGMNeoQuery.create('MapUser')).then({ records: [{ keys: ['n'], get: () => node }] });
+    assert.deepEqual(parsed, { id: 1, __labels: ['MapUser'], name: 'a', address: { city: 'Recife' }, settings: { theme: 'dark' } });
+    assert.end();
+});
+
+test('Test model object properties', (assert) => {
+    OGMNeoModel.define('MapCompany', { address: { type: 'object', storage: 'flatten' }, metadata: 'object' });
+    assert.deepEqual(OGMNeoMapProperties.properties('MapCompany'), { address: 'flatten', metadata: 'json' });
+    OGMNeoMapProperties.remove('MapCompany');
+    assert.deepEqual(OGMNeoMapProperties.properties('MapCompany'), {});
+    assert.deepEqual(OGMNeoMapProperties.properties('MapUser'), { address: 'flatten', settings: 'json' });
+    OGMNeoMapProperties.clear();
+    assert.deepEqual(OGMNeoMapProperties.properties('MapUser'), {});
+    assert.end();
+});
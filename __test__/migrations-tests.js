@@ -0,0 +1,103 @@
+'use strict';
+
+const test = require('tape');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const OGMNeoMigrations = require('../lib/ogmneo-migrations');
+const OGMNeoOperationExecuter = require('../lib/ogmneo-operation-executer');
+const OGMNeoNode = require('../lib/ogmneo-node');
+const OGMNeoQuery = require('../lib/ogmneo-query');
+const OGMNeoWhere = require('../lib/ogmneo-where');
+
+const migrations = [
+    {
+        version: 2,
+        name: 'rename_people',
+        up: transaction => OGMNeoOperationExecuter.execute(OGMNeoNode.updateManyOperation(OGMNeoQuery.create('migrated').where(OGMNeoWhere.create('name', { $eq: 'a' })), { name: 'b' }), transaction),
+        down: transaction => OGMNeoOperationExecuter.execute(OGMNeoNode.updateManyOperation(OGMNeoQuery.create('migrated').where(OGMNeoWhere.create('name', { $eq: 'b' })), { name: 'a' }), transaction)
+    },
+    {
+        version: 1,
+        name: 'create_people',
+        up: transaction => OGMNeoOperationExecuter.execute(OGMNeoNode.createOperation({ name: 'a' }, 'migrated'), transaction),
+        down: transaction => OGMNeoOperationExecuter.execute(OGMNeoNode.deleteManyOperation(OGMNeoQuery.create('migrated')), transaction)
+    }
+];
+
+test('Test load migrations', (assert) => {
+    assert.deepEqual(OGMNeoMigrations.load(migrations).map(migration => migration.version), ['1', '2']);
+    let directory = fs.mkdtempSync(path.join(os.tmpdir(), 'ogmneo-migrations-'));
+    fs.writeFileSync(path.join(directory, '10_add_index.js'), 'module.exports = { up: () => 1, schema: true };');
+    fs.writeFileSync(path.join(directory, '9-seed.js'), 'module.exports = { up: () => 1, down: () => 2 };');
+    fs.writeFileSync(path.join(directory, 'README.md'), '');
+    let loaded = OGMNeoMigrations.load(directory);
+    assert.deepEqual(loaded.map(migration => [migration.version, migration.name, migration.schema]), [['9', 'seed', undefined], ['10', 'add_index', true]]);
+    fs.writeFileSync(path.join(directory, 'seed.js'), 'module.exports = { up: () => 1 };');
+    assert.throws(() => {
+        OGMNeoMigrations.load(directory);
+    }, /The migration file seed.js name must start with its version number/);
+    fs.readdirSync(directory).forEach(file => fs.unlinkSync(path.join(directory, file)));
+    fs.rmdirSync(directory);
+    assert.throws(() => {
+        OGMNeoMigrations.load([{ version: 1, up: () => 1 }, { version: '1', up: () => 1 }]);
+    }, /The migration version 1 is duplicated/);
+    assert.throws(() => {
+        OGMNeoMigrations.load([{ version: 'first', up: () => 1 }]);
+    }, /The migration version first must be a positive number/);
+    assert.throws(() => {
+        OGMNeoMigrations.load([{ version: 3 }]);
+    }, /The migration 3 must have an up function/);
+    assert.throws(() => {
+        OGMNeoMigrations.load(null);
+    }, /The migrations must be a directory or an array of migrations/);
+    assert.end();
+});
+
+test('Test lock schema errors', (assert) => {
+    assert.equal(OGMNeoMigrations._isAlreadyExists({ code: 'Neo.ClientError.Schema.EquivalentSchemaRuleAlreadyExists' }), true);
+    assert.equal(OGMNeoMigrations._isAlreadyExists({ code: 'Neo.ClientError.Schema.ConstraintAlreadyExists' }), true);
+    assert.equal(OGMNeoMigrations._isAlreadyExists({ code: 'Neo.ClientError.Schema.ConstraintValidationFailed' }), false);
+    assert.equal(OGMNeoMigrations._isAlreadyExists(new Error('other')), false);
+    assert.end();
+});
+
+test('Test migrate up, status and down', (assert) => {
+    OGMNeoMigrations.up(migrations).then((applied) => {
+        assert.deepEqual(applied, ['1', '2']);
+        return OGMNeoNode.find(OGMNeoQuery.create('migrated'));
+    }).then((nodes) => {
+        assert.deepEqual(nodes.map(node => node.name), ['b']);
+        return OGMNeoMigrations.status(migrations);
+    }).then((status) => {
+        assert.deepEqual(status.map(migration => [migration.version, migration.name, migration.applied]), [['1', 'create_people', true], ['2', 'rename_people', true]]);
+        assert.equal(status[0].appliedAt instanceof Date, true);
+        return OGMNeoMigrations.down(migrations);
+    }).then((reverted) => {
+        assert.deepEqual(reverted, ['2']);
+        return OGMNeoMigrations.to(migrations, 0);
+    }).then((result) => {
+        assert.deepEqual(result, { up: [], down: ['1'] });
+        return OGMNeoMigrations.to(migrations, 1);
+    }).then((result) => {
+        assert.deepEqual(result, { up: ['1'], down: [] });
+        return OGMNeoMigrations.down(migrations, 5);
+    }).then((reverted) => {
+        assert.deepEqual(reverted, ['1']);
+        return OGMNeoNode.count(OGMNeoQuery.create('migrated'));
+    }).then((count) => {
+        assert.equal(count, 0);
+        assert.end();
+    });
+});
+
+test('Test FAIL migrate while locked', (assert) => {
+    let locked = [{ version: 1, up: () => OGMNeoMigrations.up(migrations) }];
+    OGMNeoMigrations.up(locked).catch((error) => {
+        assert.equal(error.message, 'The migrations are locked by another process');
+        return OGMNeoMigrations.status(locked);
+    }).then((status) => {
+        assert.equal(status[0].applied, false);
+        assert.end();
+    });
+});
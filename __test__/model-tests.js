@@ -0,0 +1,229 @@
+'use strict';
+
+const test = require('tape');
+const OGMNeoModel = require('../lib/ogmneo-model');
+const OGMNeoQuery = require('../lib/ogmneo-query');
+const OGMNeoWhere = require('../lib/ogmneo-where');
+const OGMNeoValidationError = require('../lib/ogmneo-validation-error');
+const OGMNeoNode = require('../lib/ogmneo-node');
+const OGMNeoRelation = require('../lib/ogmneo-relation');
+const _ = require('lodash');
+
+const User = OGMNeoModel.define('ModelUser', {
+    name: { type: 'string', required: true },
+    age: 'integer',
+    createdAt: 'date'
+});
+
+var userId = 0;
+
+test('Test define model', (assert) => {
+    assert.equal(User.label, 'ModelUser');
+    assert.equal(User.name, 'ModelUser');
+    assert.deepEqual(User.schema, {
+        name: { type: 'string', required: true },
+        age: { type: 'integer' },
+        createdAt: { type: 'date' }
+    });
+    assert.true(new User({ name: 'a' }) instanceof OGMNeoModel);
+    assert.equal(OGMNeoModel.define('Other').label, 'Other');
+    assert.deepEqual(OGMNeoModel.define('Other').schema, {});
+    assert.end();
+});
+
+test('Test FAIL define model', (assert) => {
+    assert.throws(() => {
+        OGMNeoModel.define('');
+    }, /The model label must be a non empty string/);
+    assert.throws(() => {
+        OGMNeoModel.define('Other', 'schema');
+    }, /The model schema must be an object/);
+    assert.throws(() => {
+        OGMNeoModel.define('Other', { name: 'text' });
+    }, /Unknown type text for property name/);
+    assert.end();
+});
+
+test('Test model find operations are bound to the label', (assert) => {
+    let operation = User.findOperation({ age: { $gt: 18 } });
+    assert.equal(operation.cypher, 'MATCH (n:ModelUser) WHERE n.age > {where_n_0} RETURN n');
+    assert.deepEqual(operation.object, { where_n_0: 18 });
+    operation = User.findOperation(OGMNeoWhere.create('name', { $eq: 'a' }));
+    assert.equal(operation.cypher, 'MATCH (n:ModelUser) WHERE n.name = {where_n_0} RETURN n');
+    let query = OGMNeoQuery.create(['Other', 'ModelUser']);
+    operation = User.findOneOperation(query);
+    assert.equal(operation.cypher, 'MATCH (n:ModelUser:Other) RETURN n LIMIT 1');
+    assert.deepEqual(query.labels, ['Other', 'ModelUser']);
+    assert.equal(query.limitClause(), '');
+    operation = User.updateOperation({ id: 1, name: 'a' });
+    assert.equal(operation.cypher, 'MATCH (n:ModelUser) WHERE ID(n)=1 SET n+={  name : {name} } RETURN n');
+    assert.equal(operation.then({ records: [] }), null);
+    operation = User.deleteOperation({ id: 1 });
+    assert.equal(operation.cypher, 'MATCH (n:ModelUser) WHERE ID(n)=1 DELETE n RETURN n');
+    operation = User.findOperation();
+    assert.equal(operation.cypher, 'MATCH (n:ModelUser) RETURN n');
+    assert.end();
+});
+
+test('Test model instances from operation results', (assert) => {
+    let operation = User.findOperation();
+    let nodes = operation.then({ records: [] });
+    assert.deepEqual(nodes, []);
+    let user = User._instance({ id: 1, name: 'a', createdAt: 1495258082719 });
+    assert.true(user instanceof User);
+    assert.true(_.isDate(user.createdAt));
+    assert.equal(user.createdAt.getTime(), 1495258082719);
+    assert.deepEqual(user.toObject(), { id: 1, name: 'a', createdAt: user.createdAt });
+    assert.equal(User._instance(null), null);
+    assert.end();
+});
+
+test('Test model validation before writes', (assert) => {
+    assert.throws(() => {
+        User.createOperation({ age: 'old' });
+    }, /Validation failed: name is required, age must be an integer/);
+    let operation = User.createOperation({ name: 'a', age: '20', createdAt: '2017-05-20T05:28:02.719Z' });
+    assert.deepEqual(operation.object, { name: 'a', age: 20, createdAt: 1495258082719 });
+    operation = User.updateOperation({ id: 1, age: '21' });
+    assert.deepEqual(operation.object, { id: 1, age: 21 });
+    User.create({ age: 3 }).catch((error) => {
+        assert.true(error instanceof OGMNeoValidationError);
+        assert.deepEqual(error.errors, [{ property: 'name', message: 'name is required' }]);
+        assert.end();
+    });
+});
+
+test('Test populated relationships are not written', (assert) => {
+    const Writer = OGMNeoModel.define('ModelWriter', { name: 'string' });
+    Writer.hasMany('ModelBook', 'WROTE').hasOne('ModelAgent', 'HAS', 'out', 'agent');
+    let writer = new Writer({ id: 1, name: 'a', modelBooks: [{ id: 2, title: 'b' }], agent: null });
+    assert.deepEqual(Writer.updateOperation(writer).object, { id: 1, name: 'a' });
+    assert.deepEqual(Writer.createOperation({ name: 'a', modelBooks: [] }).object, { name: 'a' });
+    assert.deepEqual(writer.toObject().modelBooks, [{ id: 2, title: 'b' }]);
+    assert.end();
+});
+
+test('Test model create', (assert) => {
+    let createdAt = new Date();
+    User.create({ name: 'model', age: 20, createdAt: createdAt }).then((user) => {
+        assert.true(user instanceof User);
+        assert.notEqual(user.id, null);
+        assert.equal(user.name, 'model');
+        assert.equal(user.createdAt.getTime(), createdAt.getTime());
+        userId = user.id;
+        assert.end();
+    });
+});
+
+test('Test model find and findOne', (assert) => {
+    User.find({ name: 'model' }).then((users) => {
+        assert.equal(_.size(users), 1);
+        assert.true(_.first(users) instanceof User);
+        return User.findOne(OGMNeoWhere.create('name', { $eq: 'model' }));
+    }).then((user) => {
+        assert.equal(user.id, userId);
+        assert.end();
+    });
+});
+
+test('Test model instance save and remove', (assert) => {
+    let user = new User({ name: 'saved', age: 30 });
+    user.save().then((saved) => {
+        assert.equal(saved, user);
+        assert.notEqual(user.id, null);
+        user.age = 31;
+        return user.save();
+    }).then(() => {
+        return User.findOne({ name: 'saved' });
+    }).then((found) => {
+        assert.equal(found.age, 31);
+        return found.remove();
+    }).then((removed) => {
+        assert.true(removed);
+        assert.end();
+    });
+});
+
+test('Test model update and delete', (assert) => {
+    let other = null;
+    OGMNeoNode.create({ name: 'other' }, 'ModelOther').then((node) => {
+        other = node;
+        return User.update({ id: other.id, name: 'changed' });
+    }).then((user) => {
+        assert.equal(user, null);
+        return User.delete(other);
+    }).then((deleted) => {
+        assert.false(deleted);
+        return OGMNeoNode.nodeWithId(other.id);
+    }).then((node) => {
+        assert.equal(node.name, 'other');
+        return OGMNeoNode.delete(node);
+    }).then(() => {
+        return User.update({ id: userId, age: 21 });
+    }).then((user) => {
+        assert.true(user instanceof User);
+        assert.equal(user.age, 21);
+        return User.delete(user);
+    }).then((deleted) => {
+        assert.true(deleted);
+        assert.end();
+    }).catch((error) => {
+        assert.fail(error);
+        assert.end();
+    });
+});
+
+test('Test FAIL model update', (assert) => {
+    User.update({ name: 'no id' }).catch((error) => {
+        assert.equal(error.message, 'Node must have an integer id to be updated');
+        assert.end();
+    });
+});
+
+test('Test FAIL model find', (assert) => {
+    User.find({ name: { $foo: 1 } }).catch((error) => {
+        assert.equal(error.message, 'Unknown filter operator $foo on property name');
+        assert.end();
+    });
+});
+
+test('Test model find and findOne with populate', (assert) => {
+    const Author = OGMNeoModel.define('ModelAuthor', { name: 'string' });
+    const Post = OGMNeoModel.define('ModelPost', { title: 'string' });
+    Author.hasMany(Post, 'WROTE').hasOne('ModelProfile', 'HAS');
+    Post.hasMany('ModelComment', 'ON', 'in', 'comments');
+    let nodes = [];
+    Promise.all([
+        Author.create({ name: 'populate' }),
+        Post.create({ title: 'first' }),
+        OGMNeoNode.create({ text: 'comment' }, 'ModelComment')
+    ]).then((created) => {
+        nodes = created;
+        return Promise.all([
+            OGMNeoRelation.relate(nodes[0].id, 'WROTE', nodes[1].id),
+            OGMNeoRelation.relate(nodes[2].id, 'ON', nodes[1].id)
+        ]);
+    }).then(() => {
+        return Author.find({ name: 'populate' }, { populate: ['modelPosts', 'modelPosts.comments', 'modelProfile'] });
+    }).then((authors) => {
+        assert.equal(_.size(authors), 1);
+        let author = _.first(authors);
+        assert.true(author instanceof Author);
+        assert.equal(author.modelPosts[0].title, 'first');
+        assert.equal(author.modelPosts[0].comments[0].text, 'comment');
+        assert.equal(author.modelProfile, null);
+        return Author.findOne({ name: 'populate' }, { populate: 'modelPosts' });
+    }).then((author) => {
+        assert.equal(author.id, nodes[0].id);
+        assert.equal(_.size(author.modelPosts), 1);
+        return author.save();
+    }).then((author) => {
+        assert.equal(_.size(author.modelPosts), 1);
+        return OGMNeoNode.nodeWithId(author.id);
+    }).then((node) => {
+        assert.equal(_.has(node, 'modelPosts'), false);
+        return Promise.all(nodes.map(node => OGMNeoNode.deleteCascade(node)));
+    }).then(() => {
+        assert.end();
+    });
+});
@@ -6,6 +6,11 @@ const OGMQueryBuilder = require('../lib/ogmneo-query');
 const OGMNeoRelation = require('../lib/ogmneo-relation');
 const OGMNeoWhere = require('../lib/ogmneo-where');
 const OGMNeoOperationExecuter = require('../lib/ogmneo-operation-executer');
+const { OGMNeoOperation, OGMNeoOperationBuilder } = require('../lib/ogmneo-operation');
+const OGMNeoIndex = require('../lib/ogmneo-index');
+const OGMNeo = require('../lib/ogmneo');
+const OGMNeoMapProperties = require('../lib/ogmneo-map-properties');
+const neo4j = require('neo4j-driver').v1;
 const _ = require('lodash');
 
 
@@ -32,6 +37,23 @@ test('Test merge node', (assert) => {
     });
 });
 
+test('Test create node with multiple labels', (assert) => {
+    let operation = OGMNeoNode.createOperation({ name: 'labels', __labels: ['Ignored'], __score: 1, __note: 'kept' }, ['test', 'labeled']);
+    assert.equal(operation.cypher, 'CREATE (n:test:labeled {  name : {name}, __note : {__note} }) RETURN n');
+    OGMNeoNode.create({ name: 'labels' }, ['test', 'labeled']).then((node) => {
+        assert.deepEqual(node.__labels.sort(), ['labeled', 'test']);
+        return OGMNeoNode.findOne(OGMQueryBuilder.create(['labeled', 'test']));
+    }).then((node) => {
+        assert.equal(node.name, 'labels');
+        return OGMNeoNode.merge({ name: 'labels' }, ['test', 'labeled']);
+    }).then((node) => {
+        assert.equal(node.name, 'labels');
+        return OGMNeoNode.deleteMany(OGMQueryBuilder.create('labeled'));
+    }).then(() => {
+        assert.end();
+    });
+});
+
 test('Test create node with DATE param', (assert) => {    
     OGMNeoNode.create({ name: 'name1', date: new Date(), array: ['das']}, 'test')
     .then((node) => {
@@ -242,6 +264,38 @@ test('Test execute query with NO results', (assert) => {
     });
 });
 
+test('Test execute query filtering array property', (assert) => {
+    let query = OGMQueryBuilder.create('test').where(new OGMNeoWhere('array', { $any: ['das'] }).and('array', { $size: 1 }));
+    OGMNeoNode.find(query).then((nodes) => {
+        assert.ok(_.size(nodes) >= 1);
+        nodes.forEach((node) => {
+            assert.deepEqual(node.array, ['das']);
+        });
+        assert.end();
+    });
+});
+
+test('Test find operation sends where params', (assert) => {
+    let query = OGMQueryBuilder.create('test').where(new OGMNeoWhere('name', { $eq: 'O\'Brien' }));
+    let operation = OGMNeoNode.findOperation(query);
+    assert.equal(operation.cypher, 'MATCH (n:test) WHERE n.name = {where_n_0} RETURN n');
+    assert.deepEqual(operation.object, { where_n_0: 'O\'Brien' });
+    assert.end();
+});
+
+test('Test execute query with quoted value', (assert) => {
+    OGMNeoNode.create({ name: 'O\'Brien' }, 'quoted').then((created) => {
+        let query = OGMQueryBuilder.create('quoted').where(new OGMNeoWhere('name', { $eq: 'O\'Brien' }));
+        OGMNeoNode.find(query).then((nodes) => {
+            assert.equal(_.size(nodes), 1);
+            assert.equal(_.first(nodes).id, created.id);
+            OGMNeoNode.deleteMany(query).then(() => {
+                assert.end();
+            });
+        });
+    });
+});
+
 //Tests for add and remove labels
 test('Test FAIL add label label not string', (assert) => {
     OGMNeoNode.addLabelToNode('', 32).catch((error) => {
@@ -376,6 +430,234 @@ test('Test delete MANY NODE', (assert) => {
     
 });
 
+test('Test FAIL paginate', (assert) => {
+    OGMNeoNode.paginate(OGMQueryBuilder.create('paginate'), { page: 0 }).catch((error) => {
+        assert.equal(error.message, 'page must be a positive integer');
+        return OGMNeoNode.paginate(null);
+    }).catch((error) => {
+        assert.equal(error.message, 'A OGMNeoQuery object must to be provided');
+        assert.end();
+    });
+});
+
+test('Test paginate with page and keyset cursor', (assert) => {
+    let names = ['a', 'b', 'c', 'd', 'e'];
+    Promise.all(names.map(name => OGMNeoNode.create({ name: name }, 'paginate'))).then(() => {
+        let query = OGMQueryBuilder.create('paginate').ascOrderBy('name');
+        return OGMNeoNode.paginate(query, { page: 2, perPage: 2 });
+    }).then((page) => {
+        assert.deepEqual(_.map(page.items, 'name'), ['c', 'd']);
+        assert.equal(page.total, 5);
+        assert.equal(page.page, 2);
+        assert.equal(page.pages, 3);
+        let query = OGMQueryBuilder.create('paginate');
+        let first = OGMNeoNode.paginate(query, { page: 1, perPage: 3 });
+        assert.equal(query.orderByClause(), 'ORDER BY ID(n) ASC');
+        return Promise.all([first, OGMNeoNode.paginate(OGMQueryBuilder.create('paginate'), { page: 2, perPage: 3 })]);
+    }).then((pages) => {
+        assert.deepEqual(_.map(pages[0].items.concat(pages[1].items), 'name').sort(), names);
+        return OGMNeoNode.paginate(OGMQueryBuilder.create('paginate'), { orderBy: 'name', order: 'DESC', perPage: 3 });
+    }).then((page) => {
+        assert.deepEqual(_.map(page.items, 'name'), ['e', 'd', 'c']);
+        assert.notEqual(page.next, null);
+        return OGMNeoNode.paginate(OGMQueryBuilder.create('paginate'), { orderBy: 'name', order: 'DESC', perPage: 3, after: page.next });
+    }).then((page) => {
+        assert.deepEqual(_.map(page.items, 'name'), ['b', 'a']);
+        assert.equal(page.next, null);
+        return OGMNeoNode.deleteMany(OGMQueryBuilder.create('paginate'));
+    }).then(() => {
+        assert.end();
+    }).catch((error) => {
+        assert.fail(error);
+        assert.end();
+    });
+});
+
+test('Test integer strategies', (assert) => {
+    let operation = OGMNeoNode.nodeWithIdOperation('9007199254740993');
+    assert.equal(operation.cypher, 'MATCH (n) WHERE ID(n)=9007199254740993 RETURN n');
+    let node = { identity: neo4j.int('9007199254740993'), labels: ['big'], properties: { views: neo4j.int(12), tags: [neo4j.int(1)] } };
+    let record = { keys: ['n'], get: () => node };
+    assert.throws(() => {
+        operation.then({ records: [record] });
+    }, /The integer 9007199254740993 is out of the javascript safe integer range, use the string or bigint integer strategy/);
+
+    try {
+        OGMNeo.integerStrategy = 'string';
+        assert.deepEqual(operation.then({ records: [record] }), { id: '9007199254740993', views: '12', tags: ['1'], __labels: ['big'] });
+        OGMNeo.integerStrategy = 'bigint';
+        let parsed = operation.then({ records: [record] });
+        assert.equal(parsed.id, BigInt('9007199254740993'));
+        assert.equal(parsed.views, BigInt(12));
+    } finally {
+        OGMNeo.integerStrategy = 'number';
+    }
+    node.identity = neo4j.int(7);
+    assert.deepEqual(operation.then({ records: [record] }), { id: 7, views: 12, tags: [1], __labels: ['big'] });
+
+    operation = OGMNeoNode.updateOperation({ id: BigInt('9007199254740993'), views: BigInt(13) });
+    assert.equal(operation.cypher, 'MATCH (n) WHERE ID(n)=9007199254740993 SET n+={  views : {views} } RETURN n');
+    assert.equal(neo4j.isInt(operation.object.views), true);
+    operation = OGMNeoNode.updateOperation({ id: 1, tags: [BigInt(1), BigInt('9007199254740993')] });
+    assert.deepEqual(operation.object.tags.map(tag => [neo4j.isInt(tag), tag.toString()]), [[true, '1'], [true, '9007199254740993']]);
+    operation = OGMNeoRelation.relateOperation('9007199254740993', 'big', neo4j.int(2));
+    assert.equal(operation.cypher.indexOf('MATCH (n1) WHERE ID(n1)=9007199254740993 MATCH (n2) WHERE ID(n2)=2 '), 0);
+    assert.throws(() => {
+        OGMNeo.integerStrategy = 'float';
+    }, /The integer strategy must be one of number, string, bigint/);
+    assert.throws(() => {
+        OGMNeoNode.nodeWithIdOperation('1 OR 1=1');
+    }, /You must provide an non-null integer id property to find the node/);
+    assert.end();
+});
+
+test('Test native temporal and spatial types', (assert) => {
+    OGMNeo.nativeTypesEnabled = true;
+    let born = new Date('1990-06-15T10:00:00.000Z');
+    let places = [{ name: 'recife', born: born, location: { latitude: -8.05, longitude: -34.9 } }, { name: 'natal', location: { latitude: -5.79, longitude: -35.2 } }];
+    Promise.all(places.map(place => OGMNeoNode.create(place, 'place'))).then(() => {
+        let where = OGMNeoWhere.create('location', { $withinDistance: [{ latitude: -8.06, longitude: -34.88 }, 5000] });
+        return OGMNeoNode.find(OGMQueryBuilder.create('place').where(where));
+    }).then((nodes) => {
+        assert.equal(nodes.length, 1);
+        assert.equal(nodes[0].name, 'recife');
+        assert.equal(nodes[0].born.getTime(), born.getTime());
+        assert.deepEqual(nodes[0].location, { latitude: -8.05, longitude: -34.9 });
+        return OGMNeoNode.deleteMany(OGMQueryBuilder.create('place'));
+    }).catch((error) => {
+        assert.fail(error);
+    }).then(() => {
+        OGMNeo.nativeTypesEnabled = false;
+        assert.end();
+    });
+});
+
+test('Test map properties', (assert) => {
+    OGMNeoMapProperties.define('customer', { address: 'flatten', preferences: 'json' });
+    let customer = { name: 'c', address_verified: true, address: { city: 'Recife', street: 'Rua A' }, preferences: { colors: ['blue'], newsletter: true } };
+    OGMNeoNode.create(customer, 'customer').then((created) => {
+        assert.deepEqual(created.address, customer.address);
+        assert.deepEqual(created.preferences, customer.preferences);
+        assert.equal(created.address_verified, true);
+        return OGMNeoNode.update({ id: created.id, address: { city: 'Natal' } }, 'customer');
+    }).then((updated) => {
+        assert.deepEqual(updated.address, { city: 'Natal' });
+        assert.equal(updated.address_verified, true);
+        return OGMNeoNode.updateMany(OGMQueryBuilder.create('customer'), { address: { street: 'Rua B' } });
+    }).then((updated) => {
+        assert.deepEqual(updated[0].address, { street: 'Rua B' });
+        assert.equal(_.has(updated[0], 'address_city'), false);
+        return OGMNeoNode.update({ id: updated[0].id, address: { city: 'Natal' } }, 'customer');
+    }).then((updated) => {
+        let query = OGMQueryBuilder.create('customer').where(OGMNeoWhere.create('address_city', { $eq: 'Natal' }));
+        return OGMNeoNode.findOne(query);
+    }).then((found) => {
+        assert.equal(found.name, 'c');
+        assert.deepEqual(found.preferences, customer.preferences);
+        return OGMNeoNode.deleteMany(OGMQueryBuilder.create('customer'));
+    }).catch((error) => {
+        assert.fail(error);
+    }).then(() => {
+        OGMNeoMapProperties.remove('customer');
+        assert.end();
+    });
+});
+
+test('Test aggregate operation rows', (assert) => {
+    let operation = OGMNeoNode.aggregateOperation(OGMQueryBuilder.create('sale'), { groupBy: 'country', count: true });
+    assert.equal(operation.cypher, 'MATCH (n:sale) RETURN n.country AS country, count(n) AS count');
+    let values = { country: 'BR', count: neo4j.int(2) };
+    let rows = operation.then({ records: [{ keys: _.keys(values), get: key => values[key] }] });
+    assert.deepEqual(rows, [{ country: 'BR', count: 2 }]);
+    assert.throws(() => {
+        OGMNeoNode.aggregateOperation(null, { count: true });
+    }, /A OGMNeoQuery object must to be provided/);
+    assert.end();
+});
+
+test('Test aggregate', (assert) => {
+    let sales = [{ country: 'BR', amount: 10 }, { country: 'BR', amount: 20 }, { country: 'US', amount: 5 }];
+    Promise.all(sales.map(sale => OGMNeoNode.create(sale, 'sale'))).then(() => {
+        let aggregations = { groupBy: 'country', count: true, sum: 'amount', max: 'amount', orderBy: ['country'] };
+        return OGMNeoNode.aggregate(OGMQueryBuilder.create('sale'), aggregations);
+    }).then((rows) => {
+        assert.deepEqual(rows, [
+            { country: 'BR', count: 2, sum_amount: 30, max_amount: 20 },
+            { country: 'US', count: 1, sum_amount: 5, max_amount: 5 }
+        ]);
+        return OGMNeoNode.deleteMany(OGMQueryBuilder.create('sale'));
+    }).then(() => {
+        assert.end();
+    });
+});
+
+test('Test facets operation counts', (assert) => {
+    let operation = OGMNeoNode.facetsOperation(OGMQueryBuilder.create('person'), ['city', 'status']);
+    let records = [['city', 'Recife', 2], ['status', 'active', 2], ['city', 'Natal', 1]].map((values) => {
+        let row = { facet: values[0], value: values[1], count: neo4j.int(values[2]) };
+        return { keys: _.keys(row), get: key => row[key] };
+    });
+    assert.deepEqual(operation.then({ records: records }), { city: { Recife: 2, Natal: 1 }, status: { active: 2 } });
+    operation = OGMNeoNode.distinctOperation(OGMQueryBuilder.create('person'), 'city');
+    assert.deepEqual(operation.then({ records: [] }), {});
+    assert.throws(() => {
+        OGMNeoNode.distinctOperation(OGMQueryBuilder.create('person'), null);
+    }, /The distinct property must be a string/);
+    assert.end();
+});
+
+test('Test distinct and facets', (assert) => {
+    let people = [{ city: 'Recife', status: 'active' }, { city: 'Recife', status: 'inactive' }, { city: 'Natal', status: 'active' }, { status: 'active' }];
+    Promise.all(people.map(person => OGMNeoNode.create(person, 'person'))).then(() => {
+        let query = OGMQueryBuilder.create('person').where(OGMNeoWhere.create('status', { $eq: 'active' }));
+        return OGMNeoNode.distinct(query, 'city');
+    }).then((cities) => {
+        assert.deepEqual(cities, { Recife: 1, Natal: 1 });
+        return OGMNeoNode.facets(OGMQueryBuilder.create('person'), ['city', 'status']);
+    }).then((facets) => {
+        assert.deepEqual(facets, { city: { Recife: 2, Natal: 1 }, status: { active: 3, inactive: 1 } });
+        return OGMNeoNode.deleteMany(OGMQueryBuilder.create('person'));
+    }).then(() => {
+        assert.end();
+    }).catch((error) => {
+        assert.fail(error);
+        assert.end();
+    });
+});
+
+test('Test full-text search', (assert) => {
+    let people = [{ name: 'Jon Snow', bio: 'knows nothing', age: 20 }, { name: 'Jonas', bio: 'a writer', age: 40 }, { name: 'Arya', bio: 'jon sister', age: 12 }];
+    Promise.all(people.map(person => OGMNeoNode.create(person, 'searcher'))).then(() => {
+        return OGMNeoIndex.fullText.create('searchers', ['searcher'], ['name', 'bio']);
+    }).then(() => {
+        return OGMNeoOperationExecuter.execute(OGMNeoOperationBuilder.create().cypher('CALL db.awaitIndexes()').type(OGMNeoOperation.READ).build());
+    }).then(() => {
+        return OGMNeoNode.search('searchers', 'jon*', { limit: 10 });
+    }).then((nodes) => {
+        assert.equal(nodes.length, 3);
+        assert.equal(nodes.every(node => _.isNumber(node.__score)), true);
+        let query = OGMQueryBuilder.create('searcher').where(OGMNeoWhere.create('age', { $gte: 18 }));
+        return OGMNeoNode.search('searchers', 'jon*', { query: query });
+    }).then((nodes) => {
+        assert.deepEqual(nodes.map(node => node.name).sort(), ['Jon Snow', 'Jonas']);
+        return OGMNeoIndex.fullText.drop('searchers');
+    }).then(() => {
+        return OGMNeoNode.deleteMany(OGMQueryBuilder.create('searcher'));
+    }).then(() => {
+        assert.end();
+    }).catch((error) => {
+        assert.fail(error);
+        assert.end();
+    });
+});
+
+test('Test FAIL full-text search', (assert) => {
+    OGMNeoNode.search('searchers', ' ').catch((error) => {
+        assert.equal(error.message, 'The search text must be a non empty string');
+        assert.end();
+    });
+});
+
 test('Test Failed Count', (assert) => {
     OGMNeoNode.count('').catch((error) => {
         assert.equal(error.message, 'A OGMNeoQuery object must to be provided');
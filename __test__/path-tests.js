@@ -0,0 +1,132 @@
+'use strict';
+
+const test = require('tape');
+const OGMNeoPath = require('../lib/ogmneo-path');
+const OGMNeoPathQuery = require('../lib/ogmneo-path-query');
+const OGMNeoNode = require('../lib/ogmneo-node');
+const OGMNeoRelation = require('../lib/ogmneo-relation');
+const OGMNeoWhere = require('../lib/ogmneo-where');
+const OGMNeoQuery = require('../lib/ogmneo-query');
+const neo4j = require('neo4j-driver').v1;
+const _ = require('lodash');
+
+test('Test path query cypher', (assert) => {
+    let query = OGMNeoPathQuery.create(['KNOWS', 'LIKES']).startNode(1, 'Person').hops(1, 3);
+    assert.equal(query.queryPathsCypher(), 'MATCH p=(n1:Person)-[:KNOWS|LIKES*1..3]->(n2) WHERE ID(n1) = 1 RETURN p');
+    query = OGMNeoPathQuery.create('KNOWS')
+        .startNodeWhere(OGMNeoWhere.create('name', { $eq: 'a' }))
+        .endNodeWhere(OGMNeoWhere.create('age', { $gt: 18 }).or('age', { $isNull: true }))
+        .endNode(null, 'Person')
+        .direction('both')
+        .orderBy(['name'])
+        .limit(10);
+    assert.equal(query.queryEndNodesCypher(), 'MATCH p=(n1)-[:KNOWS*1..]-(n2:Person) WHERE n1.name = {where_n1_0} AND (n2.age > {where_n2_0} OR n2.age IS NULL) RETURN DISTINCT n2 ORDER BY n2.name ASC LIMIT 10');
+    assert.deepEqual(query.params, { where_n1_0: 'a', where_n2_0: 18 });
+    query = OGMNeoPathQuery.create().direction('in').hops(0).orderBy([['length(p)', 'ASC']]);
+    assert.equal(query.queryPathsCypher(), 'MATCH p=(n1)<-[*0..]-(n2) RETURN p ORDER BY length(p) ASC');
+    assert.end();
+});
+
+test('Test FAIL path query', (assert) => {
+    assert.throws(() => {
+        OGMNeoPathQuery.create().hops(3, 1);
+    }, /The path hops must be non negative integers and max must not be lower than min/);
+    assert.throws(() => {
+        OGMNeoPathQuery.create().direction('up');
+    }, /The path direction must be one of out, in, both/);
+    assert.throws(() => {
+        OGMNeoPath.findOperation(null);
+    }, /The query object can't be null and must be an instance of OGMNeoPathQuery/);
+    assert.end();
+});
+
+test('Test parse paths', (assert) => {
+    let operation = OGMNeoPath.findOperation(OGMNeoPathQuery.create('KNOWS').startNode(1));
+    let a = { identity: neo4j.int(1), labels: ['path'], properties: { name: 'a' } };
+    let b = { identity: neo4j.int(2), labels: ['path'], properties: { name: 'b' } };
+    let c = { identity: neo4j.int(3), labels: ['path'], properties: { name: 'c' } };
+    let path = {
+        start: a,
+        end: c,
+        segments: [
+            { start: a, relationship: { identity: neo4j.int(10), type: 'KNOWS', start: neo4j.int(1), end: neo4j.int(2), properties: {} }, end: b },
+            { start: b, relationship: { identity: neo4j.int(11), type: 'KNOWS', start: neo4j.int(3), end: neo4j.int(2), properties: {} }, end: c }
+        ]
+    };
+    let paths = operation.then({ records: [{ keys: ['p'], get: () => path }] });
+    assert.equal(paths.length, 1);
+    assert.deepEqual(_.map(paths[0].nodes, 'name'), ['a', 'b', 'c']);
+    assert.deepEqual(paths[0].relations, [
+        { __type: 'KNOWS', id: 10, start: 1, end: 2 },
+        { __type: 'KNOWS', id: 11, start: 3, end: 2 }
+    ]);
+    assert.equal(paths[0].length, 2);
+    assert.end();
+});
+
+test('Test find paths and end nodes', (assert) => {
+    let nodes = [];
+    Promise.all(['a', 'b', 'c'].map(name => OGMNeoNode.create({ name: name }, 'path'))).then((created) => {
+        nodes = created;
+        return Promise.all([
+            OGMNeoRelation.relate(nodes[0].id, 'KNOWS', nodes[1].id),
+            OGMNeoRelation.relate(nodes[1].id, 'KNOWS', nodes[2].id)
+        ]);
+    }).then(() => {
+        let query = OGMNeoPathQuery.create('KNOWS').startNode(nodes[0].id).hops(1, 2).orderBy([['length(p)', 'ASC']]);
+        return OGMNeoPath.find(query);
+    }).then((paths) => {
+        assert.equal(paths.length, 2);
+        assert.deepEqual(_.map(paths[1].nodes, 'name'), ['a', 'b', 'c']);
+        assert.equal(paths[1].length, 2);
+        let query = OGMNeoPathQuery.create('KNOWS').startNode(nodes[2].id).direction('in').endNodeWhere(OGMNeoWhere.create('name', { $eq: 'a' }));
+        return OGMNeoPath.findEndNodes(query);
+    }).then((endNodes) => {
+        assert.deepEqual(_.map(endNodes, 'id'), [nodes[0].id]);
+        return Promise.all([
+            OGMNeoPath.shortest(nodes[0].id, nodes[2].id, { types: 'KNOWS', maxHops: 3 }),
+            OGMNeoPath.allShortest(nodes[2].id, nodes[0].id, { direction: 'both' }),
+            OGMNeoPath.shortest(nodes[2].id, nodes[0].id),
+            OGMNeoPath.shortest(nodes[0].id, nodes[0].id)
+        ]);
+    }).then((results) => {
+        assert.deepEqual(_.map(results[0].nodes, 'name'), ['a', 'b', 'c']);
+        assert.equal(results[0].length, 2);
+        assert.equal(results[1].length, 1);
+        assert.deepEqual(_.map(results[1][0].nodes, 'name'), ['c', 'b', 'a']);
+        assert.equal(results[2], null);
+        assert.deepEqual(_.map(results[3].nodes, 'name'), ['a']);
+        assert.equal(results[3].length, 0);
+        return Promise.all(nodes.map(node => OGMNeoNode.deleteCascade(node)));
+    }).then(() => {
+        return OGMNeoNode.count(OGMNeoQuery.create('path'));
+    }).then((count) => {
+        assert.equal(count, 0);
+        assert.end();
+    });
+});
+
+test('Test shortest path operations', (assert) => {
+    let operation = OGMNeoPath.shortestOperation(1, 2, { types: ['KNOWS', 'LIKES'], direction: 'both', maxHops: 4 });
+    assert.equal(operation.cypher, 'MATCH (n1) WHERE ID(n1) = 1 MATCH (n2) WHERE ID(n2) = 2 MATCH p=shortestPath((n1)-[:KNOWS|LIKES*1..4]-(n2)) RETURN p');
+    assert.equal(operation.type, 'READ');
+    assert.equal(operation.then({ records: [] }), null);
+    operation = OGMNeoPath.allShortestOperation(1, 2);
+    assert.equal(operation.cypher, 'MATCH (n1) WHERE ID(n1) = 1 MATCH (n2) WHERE ID(n2) = 2 MATCH p=allShortestPaths((n1)-[*1..]->(n2)) RETURN p');
+    assert.deepEqual(operation.then({ records: [] }), []);
+    operation = OGMNeoPath.shortestOperation(1, '1', { types: 'KNOWS' });
+    assert.equal(operation.cypher, 'MATCH p=(n1) WHERE ID(n1) = 1 RETURN p');
+    let a = { identity: neo4j.int(1), labels: ['path'], properties: { name: 'a' } };
+    let path = operation.then({ records: [{ get: () => ({ start: a, end: a, segments: [], length: 0 }) }] });
+    assert.deepEqual(_.map(path.nodes, 'name'), ['a']);
+    assert.deepEqual(path.relations, []);
+    assert.equal(path.length, 0);
+    assert.equal(OGMNeoPath.allShortestOperation(1, 1).cypher, 'MATCH p=(n1) WHERE ID(n1) = 1 RETURN p');
+    assert.throws(() => {
+        OGMNeoPath.shortestOperation('a', 2);
+    }, /You must provide integer ids for the start and end nodes/);
+    assert.throws(() => {
+        OGMNeoPath.allShortestOperation(1, 2, { maxHops: 0 });
+    }, /The path hops must be non negative integers and max must not be lower than min/);
+    assert.end();
+});
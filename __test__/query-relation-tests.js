@@ -3,6 +3,8 @@
 const test = require('tape');
 const OGMNeoWhere = require('../lib/ogmneo-where');
 const OGMNeoRelationQuery = require('../lib/ogmneo-relation-query');
+const OGMNeo = require('../lib/ogmneo');
+const neo4j = require('neo4j-driver').v1;
 
 test('TEST RELATION QUERY CYPHER MATCH', (assert) => {
     let query = OGMNeoRelationQuery.create('relation').startNode(23);
@@ -12,24 +14,26 @@ test('TEST RELATION QUERY CYPHER MATCH', (assert) => {
     query = OGMNeoRelationQuery.create('relation').startNode(2, 'label').endNode(43, 'label');
     assert.equal(query.matchCypher(), 'MATCH p=(n1:label)-[r:relation]->(n2:label) WHERE ID(n1) = 2 AND ID(n2) = 43');
     query = OGMNeoRelationQuery.create('relation').startNode(2, 'label').endNode(43, 'label').relationWhere(OGMNeoWhere.create('property', { $eq: 2 }).or('other', { $eq: 3 }));
-    assert.equal(query.matchCypher(), 'MATCH p=(n1:label)-[r:relation]->(n2:label) WHERE ID(n1) = 2 AND ID(n2) = 43 AND r.property = 2 OR r.other = 3');
+    assert.equal(query.matchCypher(), 'MATCH p=(n1:label)-[r:relation]->(n2:label) WHERE ID(n1) = 2 AND ID(n2) = 43 AND (r.property = {where_r_0} OR r.other = {where_r_1})');
 
     query = OGMNeoRelationQuery.create('relation').startNode(2, 'label').endNode(43, 'label')
         .relationWhere(OGMNeoWhere.create('property', { $eq: 2 }).or('other', { $eq: 3 }))
         .startNodeWhere(OGMNeoWhere.create('name', { $eq: 'a' }));
-    assert.equal(query.matchCypher(), 'MATCH p=(n1:label)-[r:relation]->(n2:label) WHERE ID(n1) = 2 AND ID(n2) = 43 AND r.property = 2 OR r.other = 3 AND n1.name = \'a\'');
+    assert.equal(query.matchCypher(), 'MATCH p=(n1:label)-[r:relation]->(n2:label) WHERE ID(n1) = 2 AND ID(n2) = 43 AND (r.property = {where_r_0} OR r.other = {where_r_1}) AND n1.name = {where_n1_0}');
     query = OGMNeoRelationQuery.create('relation').startNode(2, 'label').endNode(43, 'label')
         .startNodeWhere(OGMNeoWhere.create('name', { $eq: 'a' }));
-    assert.equal(query.matchCypher(), 'MATCH p=(n1:label)-[r:relation]->(n2:label) WHERE ID(n1) = 2 AND ID(n2) = 43 AND n1.name = \'a\'');
+    assert.equal(query.matchCypher(), 'MATCH p=(n1:label)-[r:relation]->(n2:label) WHERE ID(n1) = 2 AND ID(n2) = 43 AND n1.name = {where_n1_0}');
     query = OGMNeoRelationQuery.create()
         .startNodeWhere(OGMNeoWhere.create('name', { $eq: 'a' })).endNodeWhere(OGMNeoWhere.create('name', {$eq: 'dsadsa'}));
-    assert.equal(query.matchCypher(), 'MATCH p=(n1)-[r]->(n2) WHERE n1.name = \'a\' AND n2.name = \'dsadsa\'');
+    assert.equal(query.matchCypher(), 'MATCH p=(n1)-[r]->(n2) WHERE n1.name = {where_n1_0} AND n2.name = {where_n2_0}');
 
     query = OGMNeoRelationQuery.create('relation').startNode(2, 'label').endNode(43, 'label')
         .relationWhere(OGMNeoWhere.create('property', { $eq: 2 }).or('other', { $eq: 3 }))
         .startNodeWhere(OGMNeoWhere.create('name', { $eq: 'a' }))
         .endNodeWhere(OGMNeoWhere.create('name', { $eq: 'b' }));
-    assert.equal(query.matchCypher(), 'MATCH p=(n1:label)-[r:relation]->(n2:label) WHERE ID(n1) = 2 AND ID(n2) = 43 AND r.property = 2 OR r.other = 3 AND n1.name = \'a\' AND n2.name = \'b\'');
+    assert.equal(query.matchCypher(), 'MATCH p=(n1:label)-[r:relation]->(n2:label) WHERE ID(n1) = 2 AND ID(n2) = 43 AND (r.property = {where_r_0} OR r.other = {where_r_1}) AND n1.name = {where_n1_0} AND n2.name = {where_n2_0}');
+    assert.deepEqual(query.params, { where_r_0: 2, where_r_1: 3, where_n1_0: 'a', where_n2_0: 'b' });
+    assert.deepEqual(OGMNeoRelationQuery.create('relation').startNode(2).params, {});
     assert.end();
 });
 
@@ -89,3 +93,77 @@ test('TEST RELATION QUERY CYPHER QUERY', (assert) => {
 
 
 
+test('TEST RELATION QUERY WITH WHERE GROUPS', (assert) => {
+    let query = OGMNeoRelationQuery.create('relation').startNode(2)
+        .relationWhere(OGMNeoWhere.or(OGMNeoWhere.create('a', { $eq: 1 }), OGMNeoWhere.create('b', { $eq: 2 })))
+        .endNodeWhere(OGMNeoWhere.not(OGMNeoWhere.create('name', { $eq: 'x' })));
+    assert.equal(query.matchCypher(), 'MATCH p=(n1)-[r:relation]->(n2) WHERE ID(n1) = 2 AND (r.a = {where_r_0} OR r.b = {where_r_1}) AND NOT (n2.name = {where_n2_0})');
+    assert.deepEqual(query.params, { where_r_0: 1, where_r_1: 2, where_n2_0: 'x' });
+    assert.end();
+});
+
+test('TEST RELATION QUERY SKIP AND KEYSET', (assert) => {
+    let query = OGMNeoRelationQuery.create('relation').startNode(2).ascOrderBy('name').skip(10).limit(5);
+    assert.equal(query.queryCypher(), 'MATCH p=(n1)-[r:relation]->(n2) WHERE ID(n1) = 2 RETURN r ORDER BY r.name ASC SKIP 10 LIMIT 5');
+    let cursor = OGMNeoRelationQuery.create('relation').keyset('since').cursorFor({ id: 3, since: 100 });
+    query = OGMNeoRelationQuery.create('relation').keyset('since', 'ASC', cursor);
+    assert.equal(query.queryCypher(), 'MATCH p=(n1)-[r:relation]->(n2) WHERE r.since IS NOT NULL AND (r.since > {keyset_value} OR (r.since = {keyset_value} AND ID(r) > {keyset_id})) RETURN r ORDER BY r.since ASC, ID(r) ASC');
+    assert.deepEqual(query.params, { keyset_value: 100, keyset_id: 3 });
+    assert.throws(() => {
+        OGMNeoRelationQuery.create('relation').keyset('since) OR true WITH r MATCH (m) DETACH DELETE m //');
+    }, /The keyset property must be a non empty string with only word characters/);
+    assert.end();
+});
+
+test('TEST RELATION QUERY KEYSET WITH DATES', (assert) => {
+    try {
+        let since = new Date('2018-03-10T12:30:00.250Z');
+        let cursor = OGMNeoRelationQuery.create('relation').keyset('since').cursorFor({ id: 3, since: since });
+        assert.equal(OGMNeoRelationQuery.create('relation').keyset('since', 'ASC', cursor).params.keyset_value, since.getTime());
+        OGMNeo.nativeTypesEnabled = true;
+        let params = OGMNeoRelationQuery.create('relation').keyset('since', 'ASC', cursor).params;
+        assert.equal(neo4j.isDateTime(params.keyset_value), true);
+        assert.equal(params.keyset_value.toString(), neo4j.types.DateTime.fromStandardDate(since).toString());
+    } finally {
+        OGMNeo.nativeTypesEnabled = false;
+    }
+    assert.end();
+});
+
+test('TEST RELATION QUERY ORDER BY KEYS', (assert) => {
+    let query = OGMNeoRelationQuery.create('relation').startNode(1).orderBy([['since', 'DESC'], ['n1.name', 'ASC', 'LAST']]).limit(3);
+    assert.equal(query.queryPopulatedCypher(), 'MATCH p=(n1)-[r:relation]->(n2) WHERE ID(n1) = 1 RETURN r, n1, n2 ORDER BY r.since DESC, n1.name IS NULL ASC, n1.name ASC LIMIT 3');
+    assert.end();
+});
+
+test('TEST RELATION QUERY DIRECTION', (assert) => {
+    let query = OGMNeoRelationQuery.create('friend').startNode(1).direction('both');
+    assert.equal(query.matchCypher(), 'MATCH p=(n1)-[r:friend]-(n2) WHERE ID(n1) = 1');
+    assert.equal(query.countCypher(), 'MATCH p=(n1)-[r:friend]-(n2) WHERE ID(n1) = 1 RETURN COUNT(DISTINCT r) as count');
+    assert.equal(query.matchRelationsCypher(), 'MATCH p=(n1)-[r:friend]-(n2) WHERE ID(n1) = 1 WITH DISTINCT r');
+    assert.equal(query.queryCypher(), 'MATCH p=(n1)-[r:friend]-(n2) WHERE ID(n1) = 1 WITH r, head(collect(n1)) AS n1, head(collect(n2)) AS n2 RETURN r');
+    let unconstrained = OGMNeoRelationQuery.create('friend').direction('both').ascOrderBy('since').limit(2);
+    assert.equal(unconstrained.queryPopulatedCypher(), 'MATCH p=(n1)-[r:friend]-(n2) WITH r, head(collect(n1)) AS n1, head(collect(n2)) AS n2 RETURN r, n1, n2 ORDER BY r.since ASC LIMIT 2');
+    query.direction('in');
+    assert.equal(query.queryCypher(), 'MATCH p=(n1)<-[r:friend]-(n2) WHERE ID(n1) = 1 RETURN r');
+    assert.equal(query.matchRelationsCypher(), 'MATCH p=(n1)<-[r:friend]-(n2) WHERE ID(n1) = 1');
+    query.direction('out');
+    assert.equal(query.countCypher(), 'MATCH p=(n1)-[r:friend]->(n2) WHERE ID(n1) = 1 RETURN COUNT(r) as count');
+    assert.throws(() => {
+        query.direction('up');
+    }, /The relation direction must be one of out, in, both/);
+    assert.end();
+});
+
+test('TEST RELATION QUERY WITH MANY TYPES', (assert) => {
+    let query = OGMNeoRelationQuery.create(['LIKES', 'LOVES']).startNode(1);
+    assert.equal(query.type, 'LIKES');
+    assert.deepEqual(query.types, ['LIKES', 'LOVES']);
+    assert.equal(query.queryCypher(), 'MATCH p=(n1)-[r:LIKES|LOVES]->(n2) WHERE ID(n1) = 1 RETURN r');
+    query.returnRelationNode(['since', 'id']);
+    assert.equal(query.queryCypher(), 'MATCH p=(n1)-[r:LIKES|LOVES]->(n2) WHERE ID(n1) = 1 RETURN r.since, ID(r), type(r)');
+    query = OGMNeoRelationQuery.create(['', 2]);
+    assert.deepEqual(query.types, []);
+    assert.equal(query.countCypher(), 'MATCH p=(n1)-[r]->(n2)  RETURN COUNT(r) as count');
+    assert.end();
+});
@@ -12,13 +12,19 @@ test('Test FAILED WHERE assign', (assert) => {
     assert.end();
 });
 
+test('Test params without where', (assert) => {
+    assert.deepEqual(new QueryBuilder('Object').params, {});
+    assert.end();
+});
+
 test('Test count method', (assert) => {
     let where = new OGMNeoWhere('name', { $eq: 'derp' })
         .or('age', { $lt: 25 })
         .and('last', { $eq: 'value' })
     let queryBuilder = new QueryBuilder('Object').where(where);
     let whereCypher = queryBuilder.countCypher();
-    assert.equal(whereCypher, 'MATCH (n:Object) WHERE n.name = \'derp\' OR n.age < 25 AND n.last = \'value\' RETURN COUNT(n) as count');
+    assert.equal(whereCypher, 'MATCH (n:Object) WHERE n.name = {where_n_0} OR n.age < {where_n_1} AND n.last = {where_n_2} RETURN COUNT(n) as count');
+    assert.deepEqual(queryBuilder.params, { where_n_0: 'derp', where_n_1: 25, where_n_2: 'value' });
     assert.end();
 });
 
@@ -30,16 +36,16 @@ test('Test query builder', (assert) => {
         .and('last', { $eq: 'value' })
     let queryBuilder = new QueryBuilder('Object').where(where);
     let cypher = queryBuilder.queryCypher();
-    assert.equal(cypher, 'MATCH (n:Object) WHERE n.name = \'derp\' OR n.age < 25 AND n.last = \'value\' RETURN n');
+    assert.equal(cypher, 'MATCH (n:Object) WHERE n.name = {where_n_0} OR n.age < {where_n_1} AND n.last = {where_n_2} RETURN n');
     queryBuilder.limit(25);
     cypher = queryBuilder.queryCypher();
-    assert.equal(cypher, 'MATCH (n:Object) WHERE n.name = \'derp\' OR n.age < 25 AND n.last = \'value\' RETURN n LIMIT 25');
+    assert.equal(cypher, 'MATCH (n:Object) WHERE n.name = {where_n_0} OR n.age < {where_n_1} AND n.last = {where_n_2} RETURN n LIMIT 25');
     queryBuilder.ascOrderBy(['name', 'age']);
     cypher = queryBuilder.queryCypher();
-    assert.equal(cypher, 'MATCH (n:Object) WHERE n.name = \'derp\' OR n.age < 25 AND n.last = \'value\' RETURN n ORDER BY n.name, n.age ASC LIMIT 25');
+    assert.equal(cypher, 'MATCH (n:Object) WHERE n.name = {where_n_0} OR n.age < {where_n_1} AND n.last = {where_n_2} RETURN n ORDER BY n.name, n.age ASC LIMIT 25');
     queryBuilder.descOrderBy('name');
     cypher = queryBuilder.queryCypher();
-    assert.equal(cypher, 'MATCH (n:Object) WHERE n.name = \'derp\' OR n.age < 25 AND n.last = \'value\' RETURN n ORDER BY n.name DESC LIMIT 25');
+    assert.equal(cypher, 'MATCH (n:Object) WHERE n.name = {where_n_0} OR n.age < {where_n_1} AND n.last = {where_n_2} RETURN n ORDER BY n.name DESC LIMIT 25');
     assert.end();
 }); 
 
@@ -87,3 +93,109 @@ test('Test Fail RETURN Clause', (assert) => {
     assert.end();
 });
 
+test('Test FILTER document', (assert) => {
+    let query = QueryBuilder.create('Object').filter({ age: { $gt: 18 }, $or: [{ name: 'a' }, { name: { $startsWith: 'b' } }] });
+    assert.equal(query.queryCypher(), 'MATCH (n:Object) WHERE n.age > {where_n_0} AND (n.name = {where_n_1} OR n.name STARTS WITH {where_n_2}) RETURN n');
+    assert.deepEqual(query.params, { where_n_0: 18, where_n_1: 'a', where_n_2: 'b' });
+    query = QueryBuilder.create('Object').filter({});
+    assert.equal(query.queryCypher(), 'MATCH (n:Object) RETURN n');
+    assert.throws(() => {
+        QueryBuilder.create('Object').filter(null);
+    }, /The filter must be an object/);
+    assert.end();
+});
+
+test('Test SKIP Clause', (assert) => {
+    let query = QueryBuilder.create('Object').ascOrderBy('name').skip(40).limit(20);
+    assert.equal(query.queryCypher(), 'MATCH (n:Object) RETURN n ORDER BY n.name ASC SKIP 40 LIMIT 20');
+    query = QueryBuilder.create('Object').skip('40');
+    assert.equal(query.queryCypher(), 'MATCH (n:Object) RETURN n');
+    assert.end();
+});
+
+test('Test KEYSET pagination', (assert) => {
+    let query = QueryBuilder.create('Object').keyset('name').limit(10);
+    assert.equal(query.queryCypher(), 'MATCH (n:Object) WHERE n.name IS NOT NULL RETURN n ORDER BY n.name ASC, ID(n) ASC LIMIT 10');
+    let cursor = query.cursorFor({ id: 7, name: 'b' });
+    let where = OGMNeoWhere.create('age', { $gt: 1 }).or('age', { $eq: 0 });
+    query = QueryBuilder.create('Object').where(where).keyset('name', 'DESC', cursor);
+    assert.equal(query.queryCypher(), 'MATCH (n:Object) WHERE (n.age > {where_n_0} OR n.age = {where_n_1}) AND n.name IS NOT NULL AND (n.name < {keyset_value} OR (n.name = {keyset_value} AND ID(n) < {keyset_id})) RETURN n ORDER BY n.name DESC, ID(n) DESC');
+    assert.deepEqual(query.params, { where_n_0: 1, where_n_1: 0, keyset_value: 'b', keyset_id: 7 });
+    assert.equal(QueryBuilder.create('Object').cursorFor({ id: 1 }), null);
+    cursor = QueryBuilder.create('Object').keyset('name').cursorFor({ id: BigInt('9007199254740993'), name: 'c' });
+    assert.equal(QueryBuilder.create('Object').keyset('name', 'ASC', cursor).params.keyset_id.toString(), '9007199254740993');
+    assert.throws(() => {
+        QueryBuilder.create('Object').keyset('name', 'UP');
+    }, /The keyset order must be ASC or DESC/);
+    assert.throws(() => {
+        QueryBuilder.create('Object').keyset('name IS NOT NULL OR true WITH n MATCH (m) DETACH DELETE m //');
+    }, /The keyset property must be a non empty string with only word characters/);
+    assert.throws(() => {
+        QueryBuilder.create('Object').keyset('name', 'ASC', 'invalid');
+    }, /Invalid pagination cursor/);
+    assert.end();
+});
+
+test('Test ORDER BY keys with mixed directions', (assert) => {
+    let query = QueryBuilder.create('Object').orderBy([['lastName', 'ASC'], ['age', 'desc', 'last'], 'id', ['size(n.tags)', 'DESC']]).limit(5);
+    assert.equal(query.queryCypher(), 'MATCH (n:Object) RETURN n ORDER BY n.lastName ASC, n.age IS NULL ASC, n.age DESC, ID(n) ASC, size(n.tags) DESC LIMIT 5');
+    query = QueryBuilder.create('Object').orderBy([['age', 'ASC', 'FIRST']]);
+    assert.equal(query.orderByClause(), 'ORDER BY n.age IS NULL DESC, n.age ASC');
+    assert.throws(() => {
+        QueryBuilder.create('Object').orderBy([]);
+    }, /The order keys must be a non empty array/);
+    assert.throws(() => {
+        QueryBuilder.create('Object').orderBy([['age', 'UP']]);
+    }, /Invalid order direction UP, it must be ASC or DESC/);
+    assert.throws(() => {
+        QueryBuilder.create('Object').orderBy([['age', 'ASC', 'NEVER']]);
+    }, /Invalid nulls order NEVER, it must be FIRST or LAST/);
+    assert.throws(() => {
+        QueryBuilder.create('Object').orderBy([[1, 'ASC']]);
+    }, /Each order key must be a string or an array like \[property, direction, nulls\]/);
+    assert.end();
+});
+
+test('Test multiple labels', (assert) => {
+    let query = QueryBuilder.create(['Person', 'Employee', '']);
+    assert.equal(query.label, 'Person');
+    assert.deepEqual(query.labels, ['Person', 'Employee']);
+    assert.equal(query.queryCypher(), 'MATCH (n:Person:Employee) RETURN n');
+    let where = OGMNeoWhere.create('name', { $eq: 'a' }).or('name', { $eq: 'b' });
+    query = QueryBuilder.create('Person').anyLabels(['Employee', 'Contractor']).where(where);
+    assert.equal(query.countCypher(), 'MATCH (n:Person) WHERE (n.name = {where_n_0} OR n.name = {where_n_1}) AND (n:Employee OR n:Contractor) RETURN COUNT(n) as count');
+    assert.end();
+});
+
+test('Test AGGREGATE cypher', (assert) => {
+    let query = QueryBuilder.create('Sale').where(OGMNeoWhere.create('year', { $eq: 2017 })).limit(10);
+    let cypher = query.aggregateCypher({ groupBy: ['country'], count: true, sum: 'amount', avg: ['age'], min: 'age', max: 'age', collect: 'id', orderBy: [['sum_amount', 'DESC']] });
+    assert.equal(cypher, 'MATCH (n:Sale) WHERE n.year = {where_n_0} RETURN n.country AS country, count(n) AS count, sum(n.amount) AS sum_amount, avg(n.age) AS avg_age, min(n.age) AS min_age, max(n.age) AS max_age, collect(ID(n)) AS collect_id ORDER BY sum_amount DESC LIMIT 10');
+    assert.throws(() => {
+        QueryBuilder.create('Sale').aggregateCypher({});
+    }, /An aggregation must have at least one of groupBy, count, sum, avg, min, max, collect/);
+    assert.throws(() => {
+        QueryBuilder.create('Sale').aggregateCypher({ sum: 'n.amount) AS x //' });
+    }, /The aggregation properties must be non empty strings with only word characters/);
+    assert.end();
+});
+
+test('Test FACETS cypher', (assert) => {
+    let query = QueryBuilder.create('Person').where(OGMNeoWhere.create('age', { $gt: 18 }));
+    assert.equal(query.facetsCypher(['city', 'status']), 'MATCH (n:Person) WHERE n.age > {where_n_0} UNWIND [\'city\', \'status\'] AS facet WITH facet, n[facet] AS value WHERE value IS NOT NULL RETURN facet, value, count(*) AS count ORDER BY count DESC');
+    assert.throws(() => {
+        query.facetsCypher([]);
+    }, /At least one facet property must be provided/);
+    assert.end();
+});
+
+test('Test SEARCH cypher', (assert) => {
+    assert.equal(QueryBuilder.create().searchCypher(), 'CALL db.index.fulltext.queryNodes({search_index}, {search_text}) YIELD node AS n, score RETURN n, score ORDER BY score DESC');
+    let where = OGMNeoWhere.create('age', { $gt: 18 }).or('age', { $lt: 5 });
+    let query = QueryBuilder.create('Person').where(where).ascOrderBy('name').limit(5);
+    assert.equal(query.searchCypher(), 'CALL db.index.fulltext.queryNodes({search_index}, {search_text}) YIELD node AS n, score WHERE (n.age > {where_n_0} OR n.age < {where_n_1}) AND n:Person RETURN n, score ORDER BY n.name ASC LIMIT 5');
+    assert.equal(query.searchCypher(10, 20), 'CALL db.index.fulltext.queryNodes({search_index}, {search_text}) YIELD node AS n, score WHERE (n.age > {where_n_0} OR n.age < {where_n_1}) AND n:Person RETURN n, score ORDER BY n.name ASC SKIP 20 LIMIT 10');
+    assert.equal(query.limitClause(), 'LIMIT 5');
+    assert.equal(query.skipClause(), '');
+    assert.end();
+});
@@ -241,6 +241,55 @@ test('Test FIND relations', (assert) => {
     });
 });
 
+test('Test PAGINATE relations', (assert) => {
+    let query = OGMNeoRelationQuery.create('relatedto').startNode(nodes[0].id).endNode(nodes[1].id);
+    let first = null;
+    OGMNeoRelation.paginate(query, { perPage: 1 }).then((page) => {
+        assert.equal(page.items.length, 1);
+        assert.equal(page.total, 2);
+        assert.equal(page.pages, 2);
+        assert.equal(query.orderByClause(), 'ORDER BY ID(r) ASC');
+        first = page.items[0];
+        return OGMNeoRelation.paginate(query, { page: 2, perPage: 1 });
+    }).then((page) => {
+        assert.notEqual(page.items[0].id, first.id);
+        let keysetQuery = OGMNeoRelationQuery.create('relatedto').startNode(nodes[0].id).endNode(nodes[1].id);
+        return OGMNeoRelation.paginate(keysetQuery, { orderBy: 'property', perPage: 1 });
+    }).then((page) => {
+        assert.equal(page.items.length, 1);
+        assert.notEqual(page.next, null);
+        return OGMNeoRelation.paginate({}, { page: 1 });
+    }).catch((error) => {
+        assert.equal(error.message, 'The query object can\'t be null and must be an instance of OGMNeoRelationQuery');
+        assert.end();
+    });
+});
+
+test('Test FIND relations with direction', (assert) => {
+    let incoming = OGMNeoRelationQuery.create('relatedto').startNode(nodes[1].id).direction('in');
+    let outgoing = OGMNeoRelationQuery.create('relatedto').startNode(nodes[1].id).direction('out');
+    let both = OGMNeoRelationQuery.create('relatedto').startNode(nodes[1].id).direction('both');
+    let unconstrained = OGMNeoRelationQuery.create('relatedto').direction('both');
+    Promise.all([OGMNeoRelation.find(incoming), OGMNeoRelation.count(outgoing), OGMNeoRelation.count(both)]).then((results) => {
+        assert.equal(results[0].length, 2);
+        results[0].forEach((rel) => {
+            assert.equal(rel.start, nodes[0].id);
+            assert.equal(rel.end, nodes[1].id);
+        });
+        assert.equal(results[1], 0);
+        assert.equal(results[2], 2);
+        return Promise.all([OGMNeoRelation.find(unconstrained), OGMNeoRelation.count(unconstrained), OGMNeoRelation.paginate(unconstrained, { perPage: 100 })]);
+    }).then((results) => {
+        assert.equal(results[0].length, results[1]);
+        assert.equal(_.uniqBy(results[0], rel => rel.id.toString()).length, results[1]);
+        assert.equal(results[2].items.length, results[2].total);
+        assert.end();
+    }).catch((error) => {
+        assert.fail(error);
+        assert.end();
+    });
+});
+
 test('Test FIND ONE relation', (assert) => {
     let node1 = nodes[0];
     let node2 = nodes[1];
@@ -263,6 +312,24 @@ test('Test FIND ONE relation', (assert) => {
     });
 });
 
+test('Test FIND relations with many types', (assert) => {
+    let node1 = nodes[0];
+    let node2 = nodes[1];
+    let query1 = OGMNeoRelationQuery.create(['relatedto', 'relatedto_1']).startNode(node1.id).endNode(node2.id);
+    let find1 = OGMNeoRelation.find(query1);
+    let query2 = OGMNeoRelationQuery.create(['relatedto', 'relatedto_1']).startNode(node1.id).endNode(node2.id).returnRelationNode('property');
+    let find2 = OGMNeoRelation.find(query2);
+
+    Promise.all([find1, find2]).then((finds) => {
+        finds.forEach((relations) => {
+            assert.equal(relations.length, 3);
+            let types = _.countBy(relations, '__type');
+            assert.deepEqual(types, { relatedto: 2, relatedto_1: 1 });
+        });
+        assert.end();
+    });
+});
+
 test('Test FAIL FIND ONE', (assert) => {
     OGMNeoRelation.findOne('').catch((error) => {
         assert.equal(error.message, 'The query object can\'t be null and must be an instance of OGMNeoRelationQuery');
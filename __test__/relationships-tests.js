@@ -0,0 +1,86 @@
+'use strict';
+
+const test = require('tape');
+const OGMNeoRelationships = require('../lib/ogmneo-relationships');
+const OGMNeoModel = require('../lib/ogmneo-model');
+const OGMNeoNode = require('../lib/ogmneo-node');
+const OGMNeoQuery = require('../lib/ogmneo-query');
+const OGMNeoWhere = require('../lib/ogmneo-where');
+const neo4j = require('neo4j-driver').v1;
+const _ = require('lodash');
+
+const Author = OGMNeoModel.define('PopAuthor', { name: 'string' });
+const Post = OGMNeoModel.define('PopPost', { title: 'string' });
+Author.hasMany(Post, 'WROTE', 'out', 'posts').hasOne('PopProfile', 'HAS', 'out', 'profile');
+Post.hasMany('PopComment', 'ON', 'in', 'comments');
+
+test('Test declare relationships', (assert) => {
+    assert.deepEqual(Author.relationships.posts, { name: 'posts', target: 'PopPost', type: 'WROTE', direction: 'out', many: true });
+    assert.deepEqual(Author.relationships.profile, { name: 'profile', target: 'PopProfile', type: 'HAS', direction: 'out', many: false });
+    assert.equal(OGMNeoRelationships.hasMany('Team', 'BlogPost', 'OWNS').name, 'blogPosts');
+    assert.equal(OGMNeoRelationships.hasOne('Team', 'Leader', 'LED_BY', 'in').name, 'leader');
+    assert.end();
+});
+
+test('Test FAIL declare relationships', (assert) => {
+    assert.throws(() => {
+        OGMNeoRelationships.hasMany('', 'Post', 'WROTE');
+    }, /The relationship label and target must be non empty strings/);
+    assert.throws(() => {
+        Author.hasMany('Post', null);
+    }, /A relationship type must be specified/);
+    assert.throws(() => {
+        Author.hasOne('Post', 'WROTE', 'up');
+    }, /The relationship direction must be one of out, in, both/);
+    assert.end();
+});
+
+test('Test populate tree', (assert) => {
+    let tree = OGMNeoRelationships.populateTree('PopAuthor', ['posts.comments', 'posts']);
+    assert.deepEqual(_.keys(tree), ['posts']);
+    assert.equal(tree.posts.alias, 'n_posts');
+    assert.equal(tree.posts.variable, 'n_posts_node');
+    assert.equal(tree.posts.children.comments.alias, 'n_posts_comments');
+    assert.throws(() => {
+        OGMNeoRelationships.populateTree('PopAuthor', 'posts.likes');
+    }, /The relationship likes was not declared for label PopPost/);
+    assert.end();
+});
+
+test('Test populated query cypher', (assert) => {
+    let query = OGMNeoQuery.create('PopAuthor');
+    assert.equal(query.populatedQueryCypher('posts'), 'MATCH (n:PopAuthor) OPTIONAL MATCH (n)-[:WROTE]->(n_posts_node:PopPost) WITH n, collect(DISTINCT n_posts_node) AS n_posts RETURN n, n_posts');
+    query = OGMNeoQuery.create('PopAuthor').where(OGMNeoWhere.create('name', { $eq: 'a' })).ascOrderBy('name').limit(10);
+    let cypher = query.populatedQueryCypher(['posts', 'posts.comments', 'profile']);
+    assert.equal(cypher, 'MATCH (n:PopAuthor) WHERE n.name = {where_n_0} WITH n ORDER BY n.name ASC LIMIT 10 ' +
+        'OPTIONAL MATCH (n)-[:WROTE]->(n_posts_node:PopPost) ' +
+        'OPTIONAL MATCH (n_posts_node)<-[:ON]-(n_posts_comments_node:PopComment) ' +
+        'WITH n, n_posts_node, collect(DISTINCT n_posts_comments_node) AS n_posts_comments ' +
+        'WITH n, collect(DISTINCT {node: n_posts_node, comments: n_posts_comments}) AS n_posts ' +
+        'OPTIONAL MATCH (n)-[:HAS]->(n_profile_node:PopProfile) ' +
+        'WITH n, n_posts, head(collect(DISTINCT n_profile_node)) AS n_profile ' +
+        'RETURN n, n_posts, n_profile ORDER BY n.name ASC');
+    assert.throws(() => {
+        OGMNeoQuery.create().populatedQueryCypher('posts');
+    }, /A query label is required to populate relationships/);
+    assert.end();
+});
+
+test('Test find operations with populate', (assert) => {
+    let operation = OGMNeoNode.findOneOperation(OGMNeoQuery.create('PopAuthor'), { populate: ['posts.comments', 'profile'] });
+    assert.true(_.startsWith(operation.cypher, 'MATCH (n:PopAuthor) WITH n LIMIT 1 OPTIONAL MATCH'));
+    let values = {
+        n: { identity: neo4j.int(1), labels: ['PopAuthor'], properties: { name: 'a' } },
+        n_posts: [{
+            node: { identity: neo4j.int(2), labels: ['PopPost'], properties: { title: 'p' } },
+            comments: [{ identity: neo4j.int(3), labels: ['PopComment'], properties: { text: 'c' } }]
+        }, { node: null, comments: [] }],
+        n_profile: null
+    };
+    let record = { keys: _.keys(values), get: key => values[key] };
+    let author = operation.then({ records: [record] });
+    assert.deepEqual(author, { id: 1, __labels: ['PopAuthor'], name: 'a', posts: [{ id: 2, __labels: ['PopPost'], title: 'p', comments: [{ id: 3, __labels: ['PopComment'], text: 'c' }] }], profile: null });
+    operation = Author.findOperation(null, { populate: 'posts' });
+    assert.equal(operation.cypher, 'MATCH (n:PopAuthor) OPTIONAL MATCH (n)-[:WROTE]->(n_posts_node:PopPost) WITH n, collect(DISTINCT n_posts_node) AS n_posts RETURN n, n_posts');
+    assert.end();
+});
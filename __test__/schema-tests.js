@@ -0,0 +1,121 @@
+'use strict';
+
+const test = require('tape');
+const OGMNeoSchema = require('../lib/ogmneo-schema');
+const neo4j = require('neo4j-driver').v1;
+const OGMNeoValidationError = require('../lib/ogmneo-validation-error');
+const _ = require('lodash');
+
+const schema = OGMNeoSchema.normalize({
+    name: { type: 'string', required: true, min: 2, max: 10, regex: /^[a-z]+$/ },
+    age: { type: 'integer', min: 0, max: 150 },
+    score: 'float',
+    active: 'boolean',
+    role: { type: 'string', enum: ['admin', 'user'] },
+    birth: { type: 'date', min: new Date('1900-01-01T00:00:00.000Z') },
+    tags: { type: 'array', max: 2 },
+    even: { type: 'number', validate: (value) => (value % 2 === 0) || 'even must be an even number' },
+    odd: { type: 'number', validate: (value) => value % 2 === 1 }
+});
+
+test('Test normalize schema', (assert) => {
+    assert.deepEqual(OGMNeoSchema.normalize({ age: 'integer', name: { type: 'string', required: true } }), {
+        age: { type: 'integer' },
+        name: { type: 'string', required: true }
+    });
+    assert.throws(() => {
+        OGMNeoSchema.normalize({ age: { required: true } });
+    }, /Unknown type undefined for property age/);
+    assert.throws(() => {
+        OGMNeoSchema.normalize({ role: { type: 'string', enum: 'admin' } });
+    }, /The enum of property role must be an array/);
+    assert.throws(() => {
+        OGMNeoSchema.normalize({ name: { type: 'string', regex: '^a' } });
+    }, /The regex of property name must be a RegExp/);
+    assert.throws(() => {
+        OGMNeoSchema.normalize({ name: { type: 'string', validate: true } });
+    }, /The validate of property name must be a function/);
+    assert.end();
+});
+
+test('Test validate valid properties', (assert) => {
+    let properties = { name: 'ayrton', age: 34, role: 'admin', tags: ['a'], even: 2, odd: 3, other: { a: 1 } };
+    let value = OGMNeoSchema.validate(schema, properties);
+    assert.deepEqual(value, properties);
+    assert.notEqual(value, properties);
+    assert.end();
+});
+
+test('Test validate bigint and neo4j integers', (assert) => {
+    let value = OGMNeoSchema.validate(schema, { name: 'ayrton', age: BigInt(34) }, true);
+    assert.equal(value.age, BigInt(34));
+    value = OGMNeoSchema.validate(schema, { age: neo4j.int(34) }, true);
+    assert.equal(neo4j.isInt(value.age), true);
+    assert.throws(() => {
+        OGMNeoSchema.validate(schema, { age: BigInt(200) }, true);
+    }, /age must be at most 150/);
+    assert.throws(() => {
+        OGMNeoSchema.validate(schema, { age: neo4j.int(-1) }, true);
+    }, /age must be at least 0/);
+    assert.end();
+});
+
+test('Test validate coerces strings', (assert) => {
+    let value = OGMNeoSchema.validate(schema, { name: 'ayrton', age: '34', score: '9.5', active: 'false', birth: '1960-03-21T00:00:00.000Z' });
+    assert.equal(value.age, 34);
+    assert.equal(value.score, 9.5);
+    assert.equal(value.active, false);
+    assert.true(_.isDate(value.birth));
+    assert.equal(value.birth.getTime(), new Date('1960-03-21T00:00:00.000Z').getTime());
+    value = OGMNeoSchema.validate(schema, { name: 'ayrton', birth: 0 });
+    assert.true(_.isDate(value.birth));
+    assert.end();
+});
+
+test('Test validate lists every failing property', (assert) => {
+    try {
+        OGMNeoSchema.validate(schema, { age: '3.5', score: 'abc', active: 'yes', role: 'root', birth: '1800-01-01', tags: [1, 2, 3], even: 3, odd: 2 });
+        assert.fail('Validation should fail');
+    } catch (error) {
+        assert.true(error instanceof OGMNeoValidationError);
+        assert.true(error instanceof Error);
+        assert.deepEqual(error.errors, [
+            { property: 'name', message: 'name is required' },
+            { property: 'age', message: 'age must be an integer' },
+            { property: 'score', message: 'score must be a float' },
+            { property: 'active', message: 'active must be a boolean' },
+            { property: 'role', message: 'role must be one of admin, user' },
+            { property: 'birth', message: `birth must be at least ${new Date('1900-01-01T00:00:00.000Z')}` },
+            { property: 'tags', message: 'tags must be at most 2' },
+            { property: 'even', message: 'even must be an even number' },
+            { property: 'odd', message: 'odd is invalid' }
+        ]);
+        assert.equal(error.message.indexOf('Validation failed: name is required, age must be an integer'), 0);
+    }
+    assert.end();
+});
+
+test('Test validate string rules', (assert) => {
+    let messages = (properties) => {
+        try {
+            OGMNeoSchema.validate(schema, properties);
+            return [];
+        } catch (error) {
+            return error.errors.map(error => error.message);
+        }
+    };
+    assert.deepEqual(messages({ name: 'a' }), ['name must be at least 2']);
+    assert.deepEqual(messages({ name: 'abcdefghijk' }), ['name must be at most 10']);
+    assert.deepEqual(messages({ name: 'Ab' }), ['name must match /^[a-z]+$/']);
+    assert.deepEqual(messages({ name: 3 }), ['name must be a string']);
+    assert.deepEqual(messages({ name: 'ab', age: -1 }), ['age must be at least 0']);
+    assert.end();
+});
+
+test('Test partial validation', (assert) => {
+    assert.deepEqual(OGMNeoSchema.validate(schema, { id: 1, age: '20' }, true), { id: 1, age: 20 });
+    assert.throws(() => {
+        OGMNeoSchema.validate(schema, { id: 1, name: null }, true);
+    }, /Validation failed: name is required/);
+    assert.end();
+});
@@ -0,0 +1,70 @@
+'use strict';
+
+const test = require('tape');
+const OGMNeo = require('../lib/ogmneo');
+const OGMNeoTypes = require('../lib/ogmneo-types');
+const OGMNeoParse = require('../lib/ogmneo-parse');
+const OGMNeoWhere = require('../lib/ogmneo-where');
+const neo4j = require('neo4j-driver').v1;
+
+test('Test native types disabled', (assert) => {
+    let date = new Date('2018-03-10T12:30:00.250Z');
+    let properties = { date: date, location: { latitude: 1, longitude: 2 }, dates: [date] };
+    OGMNeoParse.parseProperties(properties);
+    assert.deepEqual(properties, { date: date.getTime(), location: { latitude: 1, longitude: 2 }, dates: [date.getTime()] });
+    assert.equal(OGMNeoWhere.create('date', { $gt: date }).params.where_n_0, date.getTime());
+    let dateTime = OGMNeoTypes.dateTime(date);
+    assert.equal(OGMNeoParse.parseValue(dateTime), dateTime);
+    assert.end();
+});
+
+test('Test native types round trip', (assert) => {
+    try {
+        OGMNeo.nativeTypesEnabled = true;
+        let date = new Date('2018-03-10T12:30:00.250Z');
+        let properties = { date: date, location: { latitude: -8.05, longitude: -34.9 }, corner: { x: 1, y: 2, z: 3 }, address: { city: 'Recife' } };
+        OGMNeoParse.parseProperties(properties);
+        assert.equal(neo4j.isDateTime(properties.date), true);
+        assert.equal(neo4j.isPoint(properties.location), true);
+        assert.deepEqual([properties.location.srid, properties.location.x, properties.location.y], [4326, -34.9, -8.05]);
+        assert.equal(properties.corner.srid, 9157);
+        assert.deepEqual(properties.address, { city: 'Recife' });
+        assert.equal(neo4j.isDateTime(OGMNeoWhere.create('date', { $gt: date }).params.where_n_0), true);
+
+        let read = OGMNeoParse.parseValue(properties);
+        assert.equal(read.date.getTime(), date.getTime());
+        assert.deepEqual(read.location, { latitude: -8.05, longitude: -34.9 });
+        assert.deepEqual(read.corner, { x: 1, y: 2, z: 3 });
+        let fromDatabase = new neo4j.types.DateTime(neo4j.int(2018), neo4j.int(3), neo4j.int(10), neo4j.int(9), neo4j.int(30), neo4j.int(0), neo4j.int(250000000), neo4j.int(-10800), null);
+        assert.equal(OGMNeoParse.parseValue(fromDatabase).getTime(), date.getTime());
+        assert.equal(OGMNeoParse.parseValue(OGMNeoTypes.localDateTime(date)).getTime(), date.getTime());
+        let zoned = new neo4j.types.DateTime(neo4j.int(2018), neo4j.int(3), neo4j.int(10), neo4j.int(9), neo4j.int(30), neo4j.int(0), neo4j.int(250000000), null, 'America/Sao_Paulo');
+        assert.equal(OGMNeoParse.parseValue(zoned).toISOString(), '2018-03-10T12:30:00.250Z');
+        let summer = new neo4j.types.DateTime(neo4j.int(2018), neo4j.int(1), neo4j.int(10), neo4j.int(9), neo4j.int(30), neo4j.int(0), neo4j.int(0), null, 'America/Sao_Paulo');
+        assert.equal(OGMNeoTypes.fromNeo4j(summer).toISOString(), '2018-01-10T11:30:00.000Z');
+        assert.throws(() => {
+            OGMNeoTypes.fromNeo4j(new neo4j.types.DateTime(neo4j.int(2018), neo4j.int(1), neo4j.int(10), neo4j.int(9), neo4j.int(30), neo4j.int(0), neo4j.int(0), null, 'Nowhere/Unknown'));
+        }, /The DateTime time zone Nowhere\/Unknown is not supported/);
+        let day = OGMNeoParse.parseValue(OGMNeoTypes.date(date));
+        assert.deepEqual([day.getFullYear(), day.getMonth(), day.getDate(), day.getHours()], [date.getFullYear(), date.getMonth(), date.getDate(), 0]);
+        let duration = OGMNeoTypes.duration({ days: 2 });
+        assert.equal(OGMNeoParse.parseValue(duration), duration);
+        assert.equal(duration.days, 2);
+    } finally {
+        OGMNeo.nativeTypesEnabled = false;
+    }
+    assert.end();
+});
+
+test('Test FAIL native types', (assert) => {
+    assert.throws(() => {
+        OGMNeoTypes.dateTime('2018-03-10');
+    }, /A valid Date must be provided/);
+    assert.throws(() => {
+        OGMNeoTypes.point('1', 2);
+    }, /The point latitude, longitude and height must be finite numbers/);
+    assert.throws(() => {
+        OGMNeoTypes.toPoint({ lat: 1, lng: 2 });
+    }, /The point must be an object like \{latitude, longitude, height\} or \{x, y, z\}/);
+    assert.end();
+});
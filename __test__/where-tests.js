@@ -2,60 +2,79 @@
 
 const test = require('tape');
 const OGMNeoWhere = require('../lib/ogmneo-where');
+const neo4j = require('neo4j-driver').v1;
 
 test('Test CONSTRUCT an where object', (assert) => {
     let where = new OGMNeoWhere('name', { $eq: 'value' });
-    assert.equal(where.clause, 'n.name = \'value\'');
+    assert.equal(where.clause, 'n.name = {where_n_0}');
+    assert.deepEqual(where.params, { where_n_0: 'value' });
+    assert.deepEqual(where.statement, { cypher: 'n.name = {where_n_0}', params: { where_n_0: 'value' } });
     assert.end();
 });
 
 test('Test condition to query method', (assert) => {
     let where = new OGMNeoWhere();
-    let query = where._conditionToQuery({ 'name': { $eq: 'value' } });
-    assert.equal(query, 'n.name = \'value\'');
-    query = where._conditionToQuery({ 'name': { $eq: 'value', $lt: 'ab' } });
-    assert.equal(query, 'n.name = \'value\' AND n.name < \'ab\'');
-    query = where._conditionToQuery({ 'age': { $eq: 26 } });
-    assert.equal(query, 'n.age = 26');
+    let params = {};
+    let query = where._conditionToQuery({ 'name': { $eq: 'value' } }, params);
+    assert.equal(query, 'n.name = {where_n_0}');
+    assert.deepEqual(params, { where_n_0: 'value' });
+    params = {};
+    query = where._conditionToQuery({ 'name': { $eq: 'value', $lt: 'ab' } }, params);
+    assert.equal(query, 'n.name = {where_n_0} AND n.name < {where_n_1}');
+    assert.deepEqual(params, { where_n_0: 'value', where_n_1: 'ab' });
+    params = {};
+    query = where._conditionToQuery({ 'age': { $eq: 26 } }, params);
+    assert.equal(query, 'n.age = {where_n_0}');
+    assert.deepEqual(params, { where_n_0: 26 });
     query = where._conditionToQuery({ 'age': { $lte: 50 } });
-    assert.equal(query, 'n.age <= 50');
+    assert.equal(query, 'n.age <= {where_n_0}');
     query = where._conditionToQuery({ 'age': { $ne: 50 } });
-    assert.equal(query, 'n.age <> 50');
+    assert.equal(query, 'n.age <> {where_n_0}');
     query = where._conditionToQuery({ 'age': { $gt: 50 } });
-    assert.equal(query, 'n.age > 50');
+    assert.equal(query, 'n.age > {where_n_0}');
     query = where._conditionToQuery({ 'age': { $gte: 50 } });
-    assert.equal(query, 'n.age >= 50');
-    query = where._conditionToQuery({ 'age': { $e: 50 } });
+    assert.equal(query, 'n.age >= {where_n_0}');
+    params = {};
+    query = where._conditionToQuery({ 'age': { $e: 50 } }, params);
     assert.equal(query, '');
+    assert.deepEqual(params, {});
     query = where._conditionToQuery({});
     assert.equal(query, '');
-    query = where._conditionToQuery({ 'age': { $eq: null } });
-    assert.equal(query, 'n.age = null');
+    params = {};
+    query = where._conditionToQuery({ 'age': { $eq: null } }, params);
+    assert.equal(query, 'n.age = {where_n_0}');
+    assert.deepEqual(params, { where_n_0: null });
     query = where._conditionToQuery({ 'name': { $regex: '.*[tes]' } });
-    assert.equal(query, 'n.name =~ \'.*[tes]\'');
+    assert.equal(query, 'n.name =~ {where_n_0}');
     query = where._conditionToQuery({ 'name': { $regex: 3 } });
     assert.equal(query, '');
     query = where._conditionToQuery({ 'name': { $startsWith: 'r' } });
-    assert.equal(query, 'n.name STARTS WITH \'r\'');
+    assert.equal(query, 'n.name STARTS WITH {where_n_0}');
     query = where._conditionToQuery({ 'name': { $startsWith: 3 } });
     assert.equal(query, '');
     query = where._conditionToQuery({ 'name': { $endsWith: 'r' } });
-    assert.equal(query, 'n.name ENDS WITH \'r\'');
+    assert.equal(query, 'n.name ENDS WITH {where_n_0}');
     query = where._conditionToQuery({ 'name': { $endsWith: 3 } });
     assert.equal(query, '');
     query = where._conditionToQuery({ 'name': { $contains: 'r' } });
-    assert.equal(query, 'n.name CONTAINS \'r\'');
+    assert.equal(query, 'n.name CONTAINS {where_n_0}');
     query = where._conditionToQuery({ 'name': { $contains: 3 } });
     assert.equal(query, '');
-    query = where._conditionToQuery({ 'date': { $lt: new Date('2017-05-20T05:28:02.719Z')}});
-    assert.equal(query, 'n.date < 1495258082719');
-    query = where._conditionToQuery({'name' : {$in: ['value', 9, null]}})
-    assert.equal(query, 'n.name IN [ \'value\' , 9 , null ]');
-    query = where._conditionToQuery({ 'name': { $exists: true } })
+    params = {};
+    query = where._conditionToQuery({ 'date': { $lt: new Date('2017-05-20T05:28:02.719Z')}}, params);
+    assert.equal(query, 'n.date < {where_n_0}');
+    assert.deepEqual(params, { where_n_0: 1495258082719 });
+    params = {};
+    query = where._conditionToQuery({'name' : {$in: ['value', 9, null, {}]}}, params);
+    assert.equal(query, 'n.name IN {where_n_0}');
+    assert.deepEqual(params, { where_n_0: ['value', 9, null] });
+    params = {};
+    query = where._conditionToQuery({ 'name': { $exists: true } }, params);
     assert.equal(query, 'EXISTS(n.name)');
-    query = where._conditionToQuery({ 'name': { $exists: false } })
+    assert.deepEqual(params, {});
+    query = where._conditionToQuery({ 'name': { $exists: false } });
     assert.equal(query, 'NOT EXISTS(n.name)');
-    query = where._conditionToQuery({ 'name': { $exists: '' } })
+    query = where._conditionToQuery({ 'name': { $exists: '' } });
     assert.equal(query, '');
     assert.end();
 
@@ -67,6 +86,298 @@ test('Test WHERE CLAUSE', (assert) => {
         .and('age', { $lte: 20 })
         .and('property', {$exists: true})
         .or('gender', { $eq: 'm' });
-    assert.equal(where.clause, 'n.name CONTAINS \'r\' AND n.age <= 20 AND EXISTS(n.property) OR n.gender = \'m\'');
+    assert.equal(where.clause, 'n.name CONTAINS {where_n_0} AND n.age <= {where_n_1} AND EXISTS(n.property) OR n.gender = {where_n_2}');
+    assert.deepEqual(where.params, { where_n_0: 'r', where_n_1: 20, where_n_2: 'm' });
+    assert.end();
+});
+
+test('Test WHERE values are never spliced into the clause', (assert) => {
+    let where = new OGMNeoWhere('name', { $eq: 'O\'Brien\' OR 1=1 //' });
+    assert.equal(where.clause, 'n.name = {where_n_0}');
+    assert.deepEqual(where.params, { where_n_0: 'O\'Brien\' OR 1=1 //' });
+    where.variable = 'n1';
+    assert.equal(where.clause, 'n1.name = {where_n1_0}');
+    assert.deepEqual(where.params, { where_n1_0: 'O\'Brien\' OR 1=1 //' });
+    assert.end();
+});
+
+test('Test WHERE property names are never spliced into the clause', (assert) => {
+    let where = new OGMNeoWhere('first name', { $eq: 'a' }).and('x) OR 1=1 WITH n MATCH (m) DETACH DELETE m //`', { $exists: true });
+    assert.equal(where.clause, 'n.`first name` = {where_n_0} AND EXISTS(n.`x) OR 1=1 WITH n MATCH (m) DETACH DELETE m //```)');
+    assert.equal(new OGMNeoWhere('_name2', { $eq: 'a' }).clause, 'n._name2 = {where_n_0}');
+    assert.end();
+});
+
+test('Test FAIL WHERE properties and values', (assert) => {
+    assert.throws(() => {
+        new OGMNeoWhere('', { $eq: 'a' });
+    }, /The where property must be a non empty string/);
+    assert.throws(() => {
+        OGMNeoWhere.create('name', { $eq: 'a' }).and(3, { $eq: 'a' });
+    }, /The where property must be a non empty string/);
+    assert.throws(() => {
+        OGMNeoWhere.create('name', { $eq: undefined });
+    }, /The \$eq filter value of property name must be defined/);
+    assert.throws(() => {
+        OGMNeoWhere.create('tags', { $elemMatch: { $gt: undefined } });
+    }, /The \$gt filter value of property tags must be defined/);
+    assert.throws(() => {
+        OGMNeoWhere.fromFilter({ name: undefined });
+    }, /The \$eq filter value of property name must be defined/);
+    assert.end();
+});
+
+test('Test WHERE groups', (assert) => {
+    let where = OGMNeoWhere.and(
+        OGMNeoWhere.create('age', { $gte: 18 }),
+        OGMNeoWhere.or(OGMNeoWhere.create('name', { $eq: 'a' }), OGMNeoWhere.create('name', { $startsWith: 'b' }))
+    );
+    assert.equal(where.clause, 'n.age >= {where_n_0} AND (n.name = {where_n_1} OR n.name STARTS WITH {where_n_2})');
+    assert.deepEqual(where.params, { where_n_0: 18, where_n_1: 'a', where_n_2: 'b' });
+
+    where = OGMNeoWhere.or(
+        OGMNeoWhere.create('a', { $eq: 1 }).and('b', { $eq: 2 }),
+        OGMNeoWhere.create('c', { $eq: 3 }).and('d', { $eq: 4 })
+    );
+    assert.equal(where.clause, '(n.a = {where_n_0} AND n.b = {where_n_1}) OR (n.c = {where_n_2} AND n.d = {where_n_3})');
+
+    where = OGMNeoWhere.create('a', { $eq: 1 }).or(OGMNeoWhere.create('b', { $eq: 2 }).and('c', { $eq: 3 }));
+    assert.equal(where.clause, 'n.a = {where_n_0} OR (n.b = {where_n_1} AND n.c = {where_n_2})');
+    assert.end();
+});
+
+test('Test WHERE NOT', (assert) => {
+    let where = OGMNeoWhere.not(OGMNeoWhere.create('name', { $eq: 'a' }).or('age', { $lt: 3 }));
+    assert.equal(where.clause, 'NOT (n.name = {where_n_0} OR n.age < {where_n_1})');
+    where = OGMNeoWhere.create('active', { $eq: true }).and(OGMNeoWhere.not(OGMNeoWhere.create('deleted', { $exists: true })));
+    assert.equal(where.clause, 'n.active = {where_n_0} AND NOT (EXISTS(n.deleted))');
+    assert.end();
+});
+
+test('Test WHERE groups rebound to other variable', (assert) => {
+    let where = OGMNeoWhere.and(
+        OGMNeoWhere.create('property', { $exists: true }),
+        OGMNeoWhere.not(OGMNeoWhere.create('name', { $eq: 'a' }))
+    );
+    where.variable = 'r';
+    assert.equal(where.clause, 'EXISTS(r.property) AND NOT (r.name = {where_r_0})');
+    assert.deepEqual(where.params, { where_r_0: 'a' });
+    assert.end();
+});
+
+test('Test FAIL WHERE groups', (assert) => {
+    assert.throws(() => {
+        OGMNeoWhere.and();
+    }, /You must provide at least one where and all of them must be instances of OGMNeoWhere/);
+    assert.throws(() => {
+        OGMNeoWhere.or(OGMNeoWhere.create('a', { $eq: 1 }), { a: 1 });
+    }, /You must provide at least one where and all of them must be instances of OGMNeoWhere/);
+    assert.throws(() => {
+        OGMNeoWhere.not('a');
+    }, /You must provide at least one where and all of them must be instances of OGMNeoWhere/);
+    assert.end();
+});
+
+test('Test WHERE from filter document', (assert) => {
+    let where = OGMNeoWhere.fromFilter({ age: { $gt: 18 }, $or: [{ name: 'a' }, { name: { $startsWith: 'b' } }] });
+    assert.equal(where.clause, 'n.age > {where_n_0} AND (n.name = {where_n_1} OR n.name STARTS WITH {where_n_2})');
+    assert.deepEqual(where.params, { where_n_0: 18, where_n_1: 'a', where_n_2: 'b' });
+
+    where = OGMNeoWhere.fromFilter({ name: 'a' });
+    assert.equal(where.clause, 'n.name = {where_n_0}');
+
+    where = OGMNeoWhere.fromFilter({ age: { $gte: 1, $lt: 5 } });
+    assert.equal(where.clause, 'n.age >= {where_n_0} AND n.age < {where_n_1}');
+
+    where = OGMNeoWhere.fromFilter({});
+    assert.equal(where.clause, '');
+    assert.end();
+});
+
+test('Test WHERE from nested filter document', (assert) => {
+    let where = OGMNeoWhere.fromFilter({
+        $and: [
+            { $or: [{ a: 1 }, { $and: [{ b: 2 }, { c: 3 }] }] },
+            { $nor: [{ d: 4 }, { e: 5 }] },
+            { $not: { f: { $in: [6] } } }
+        ]
+    });
+    assert.equal(where.clause, '(n.a = {where_n_0} OR (n.b = {where_n_1} AND n.c = {where_n_2})) AND NOT (n.d = {where_n_3} OR n.e = {where_n_4}) AND NOT (n.f IN {where_n_5})');
+    assert.deepEqual(where.params, { where_n_0: 1, where_n_1: 2, where_n_2: 3, where_n_3: 4, where_n_4: 5, where_n_5: [6] });
+
+    where = OGMNeoWhere.fromFilter({ age: { $gt: 1, $not: { $eq: 5 } } });
+    assert.equal(where.clause, 'n.age > {where_n_0} AND NOT (n.age = {where_n_1})');
+    where = OGMNeoWhere.fromFilter({ name: { $not: 'a' } });
+    assert.equal(where.clause, 'NOT (n.name = {where_n_0})');
+    assert.end();
+});
+
+test('Test FAIL WHERE from filter document', (assert) => {
+    assert.throws(() => {
+        OGMNeoWhere.fromFilter('name');
+    }, /The filter must be an object/);
+    assert.throws(() => {
+        OGMNeoWhere.fromFilter({ $xor: [{ a: 1 }] });
+    }, /Unknown filter operator \$xor/);
+    assert.throws(() => {
+        OGMNeoWhere.fromFilter({ a: { $foo: 1 } });
+    }, /Unknown filter operator \$foo on property a/);
+    assert.throws(() => {
+        OGMNeoWhere.fromFilter({ $or: [] });
+    }, /The \$or operator must receive a non empty array of filters/);
+    assert.throws(() => {
+        OGMNeoWhere.fromFilter({ $and: { a: 1 } });
+    }, /The \$and operator must receive a non empty array of filters/);
+    assert.end();
+});
+
+test('Test NOT IN, IS NULL and BETWEEN conditions', (assert) => {
+    let where = new OGMNeoWhere();
+    let params = {};
+    let query = where._conditionToQuery({ 'name': { $nin: ['a', 2, {}] } }, params);
+    assert.equal(query, 'NOT n.name IN {where_n_0}');
+    assert.deepEqual(params, { where_n_0: ['a', 2] });
+    query = where._conditionToQuery({ 'name': { $nin: 'a' } });
+    assert.equal(query, '');
+    query = where._conditionToQuery({ 'name': { $isNull: true } });
+    assert.equal(query, 'n.name IS NULL');
+    query = where._conditionToQuery({ 'name': { $isNull: false } });
+    assert.equal(query, 'n.name IS NOT NULL');
+    query = where._conditionToQuery({ 'name': { $isNull: 'true' } });
+    assert.equal(query, '');
+    params = {};
+    query = where._conditionToQuery({ 'age': { $between: [18, 30] } }, params);
+    assert.equal(query, 'n.age >= {where_n_0} AND n.age <= {where_n_1}');
+    assert.deepEqual(params, { where_n_0: 18, where_n_1: 30 });
+    params = {};
+    query = where._conditionToQuery({ 'date': { $between: [new Date('2017-05-20T05:28:02.719Z'), new Date('2017-05-21T05:28:02.719Z')] } }, params);
+    assert.equal(query, 'n.date >= {where_n_0} AND n.date <= {where_n_1}');
+    assert.deepEqual(params, { where_n_0: 1495258082719, where_n_1: 1495344482719 });
+    query = where._conditionToQuery({ 'age': { $between: [18] } });
+    assert.equal(query, '');
+    query = where._conditionToQuery({ 'age': { $between: [18, null] } });
+    assert.equal(query, '');
+    query = where._conditionToQuery({ 'age': { $between: 18 } });
+    assert.equal(query, '');
+    assert.end();
+});
+
+test('Test bigint and date condition values', (assert) => {
+    let where = OGMNeoWhere.create('views', { $gt: BigInt('9007199254740993') });
+    assert.equal(neo4j.isInt(where.params.where_n_0), true);
+    assert.equal(where.params.where_n_0.toString(), '9007199254740993');
+    where = OGMNeoWhere.create('views', { $in: [BigInt(1), 2, new Date('2017-05-20T05:28:02.719Z'), {}] });
+    assert.equal(where.clause, 'n.views IN {where_n_0}');
+    assert.equal(where.params.where_n_0.length, 3);
+    assert.equal(neo4j.isInt(where.params.where_n_0[0]), true);
+    assert.deepEqual(where.params.where_n_0.slice(1), [2, 1495258082719]);
+    where = OGMNeoWhere.create('tags', { $any: [BigInt(1)] });
+    assert.equal(neo4j.isInt(where.params.where_n_0[0]), true);
+    assert.end();
+});
+
+test('Test case-insensitive conditions', (assert) => {
+    let where = new OGMNeoWhere();
+    let params = {};
+    let query = where._conditionToQuery({ 'name': { $iEq: 'JoHn' } }, params);
+    assert.equal(query, 'toLower(n.name) = toLower({where_n_0})');
+    assert.deepEqual(params, { where_n_0: 'JoHn' });
+    query = where._conditionToQuery({ 'name': { $iStartsWith: 'J' } });
+    assert.equal(query, 'toLower(n.name) STARTS WITH toLower({where_n_0})');
+    query = where._conditionToQuery({ 'name': { $iEndsWith: 'N' } });
+    assert.equal(query, 'toLower(n.name) ENDS WITH toLower({where_n_0})');
+    query = where._conditionToQuery({ 'name': { $iContains: 'oH' } });
+    assert.equal(query, 'toLower(n.name) CONTAINS toLower({where_n_0})');
+    query = where._conditionToQuery({ 'name': { $iEq: 3 } });
+    assert.equal(query, '');
+    query = where._conditionToQuery({ 'name': { $iContains: null } });
+    assert.equal(query, '');
+    assert.end();
+});
+
+test('Test filter validation', (assert) => {
+    let where = new OGMNeoWhere();
+    assert.true(where._isFilterValid('NOT IN', []));
+    assert.false(where._isFilterValid('NOT IN', 'a'));
+    assert.true(where._isFilterValid('IS NULL', false));
+    assert.false(where._isFilterValid('IS NULL', null));
+    assert.true(where._isFilterValid('BETWEEN', [1, 2]));
+    assert.false(where._isFilterValid('BETWEEN', [1, 2, 3]));
+    assert.true(where._isFilterValid('=', 3));
+    assert.false(where._isFilterValid('=', 3, true));
+    assert.end();
+});
+
+test('Test new conditions in filter documents', (assert) => {
+    let where = OGMNeoWhere.fromFilter({ age: { $between: [1, 5] }, $or: [{ name: { $iContains: 'a' } }, { name: { $isNull: true } }], tag: { $nin: ['x'] } });
+    assert.equal(where.clause, 'n.age >= {where_n_0} AND n.age <= {where_n_1} AND (toLower(n.name) CONTAINS toLower({where_n_2}) OR n.name IS NULL) AND NOT n.tag IN {where_n_3}');
+    assert.end();
+});
+
+test('Test list conditions', (assert) => {
+    let where = new OGMNeoWhere();
+    let params = {};
+    let query = where._conditionToQuery({ 'tags': { $all: ['a', 'b'] } }, params);
+    assert.equal(query, 'ALL(x IN {where_n_0} WHERE x IN n.tags)');
+    assert.deepEqual(params, { where_n_0: ['a', 'b'] });
+    params = {};
+    query = where._conditionToQuery({ 'tags': { $any: ['a', 'b'] } }, params);
+    assert.equal(query, 'ANY(x IN n.tags WHERE x IN {where_n_0})');
+    assert.deepEqual(params, { where_n_0: ['a', 'b'] });
+    params = {};
+    query = where._conditionToQuery({ 'tags': { $size: 2 } }, params);
+    assert.equal(query, 'size(n.tags) = {where_n_0}');
+    assert.deepEqual(params, { where_n_0: 2 });
+    params = {};
+    query = where._conditionToQuery({ 'tags': { $elemMatch: { $startsWith: 'adm', $ne: 'admin' } } }, params);
+    assert.equal(query, 'ANY(x IN n.tags WHERE x STARTS WITH {where_n_0} AND x <> {where_n_1})');
+    assert.deepEqual(params, { where_n_0: 'adm', where_n_1: 'admin' });
+    query = where._conditionToQuery({ 'tags': { $size: 1, $any: ['a'] } });
+    assert.equal(query, 'size(n.tags) = {where_n_0} AND ANY(x IN n.tags WHERE x IN {where_n_1})');
+    assert.end();
+});
+
+test('Test nested and exists element conditions', (assert) => {
+    let where = new OGMNeoWhere();
+    let params = {};
+    let query = where._conditionToQuery({ 'tags': { $elemMatch: { $exists: true } } }, params);
+    assert.equal(query, 'ANY(x IN n.tags WHERE x IS NOT NULL)');
+    assert.equal(where._conditionToQuery({ 'tags': { $elemMatch: { $exists: false } } }), 'ANY(x IN n.tags WHERE x IS NULL)');
+    query = where._conditionToQuery({ 'matrix': { $elemMatch: { $elemMatch: { $gt: 1 } }, $size: 2 } }, params);
+    assert.equal(query, 'ANY(x IN n.matrix WHERE ANY(x1 IN x WHERE x1 > {where_n_0})) AND size(n.matrix) = {where_n_1}');
+    query = where._conditionToQuery({ 'matrix': { $elemMatch: { $all: [1, 2], $size: 2 } } }, {});
+    assert.equal(query, 'ANY(x IN n.matrix WHERE ALL(x1 IN {where_n_0} WHERE x1 IN x) AND size(x) = {where_n_1})');
+    assert.end();
+});
+
+test('Test invalid list conditions', (assert) => {
+    let where = new OGMNeoWhere();
+    assert.equal(where._conditionToQuery({ 'tags': { $all: 'a' } }), '');
+    assert.equal(where._conditionToQuery({ 'tags': { $any: 3 } }), '');
+    assert.equal(where._conditionToQuery({ 'tags': { $size: -1 } }), '');
+    assert.equal(where._conditionToQuery({ 'tags': { $size: 1.5 } }), '');
+    assert.equal(where._conditionToQuery({ 'tags': { $elemMatch: {} } }), '');
+    assert.equal(where._conditionToQuery({ 'tags': { $elemMatch: 'a' } }), '');
+    assert.equal(where._conditionToQuery({ 'tags': { $elemMatch: { $foo: 'a' } } }), '');
+    assert.end();
+});
+
+test('Test list conditions rebound to other variable', (assert) => {
+    let where = OGMNeoWhere.fromFilter({ roles: { $elemMatch: { $iEq: 'Admin' } }, tags: { $all: ['x'] } });
+    where.variable = 'n2';
+    assert.equal(where.clause, 'ANY(x IN n2.roles WHERE toLower(x) = toLower({where_n2_0})) AND ALL(x IN {where_n2_1} WHERE x IN n2.tags)');
+    assert.end();
+});
+
+test('Test within distance condition', (assert) => {
+    let where = OGMNeoWhere.create('location', { $withinDistance: [{ latitude: -8.05, longitude: -34.9 }, 1000] });
+    assert.equal(where.clause, 'distance(n.location, {where_n_0}) <= {where_n_1}');
+    let point = where.params.where_n_0;
+    assert.deepEqual([point.srid, point.x, point.y], [4326, -34.9, -8.05]);
+    assert.equal(where.params.where_n_1, 1000);
+    where = OGMNeoWhere.fromFilter({ location: { $withinDistance: [{ x: 1, y: 2 }, 5] } });
+    assert.equal(where.params.where_n_0.srid, 7203);
+    where = OGMNeoWhere.create('location', { $withinDistance: [{ latitude: 1, lng: 2 }, 5] }).and('location', { $withinDistance: [{ x: 1, y: 2 }, -1] });
+    assert.equal(where.clause, '');
     assert.end();
 });
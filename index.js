@@ -8,6 +8,17 @@ const where = require('./lib/ogmneo-where');
 const relationQuery = require('./lib/ogmneo-relation-query');
 const { OGMNeoOperation, OGMNeoOperationBuilder } = require('./lib/ogmneo-operation');
 const OGMNeoOperationExecuter = require('./lib/ogmneo-operation-executer');
+const model = require('./lib/ogmneo-model');
+const schema = require('./lib/ogmneo-schema');
+const OGMNeoValidationError = require('./lib/ogmneo-validation-error');
+const hooks = require('./lib/ogmneo-hooks');
+const relationships = require('./lib/ogmneo-relationships');
+const path = require('./lib/ogmneo-path');
+const pathQuery = require('./lib/ogmneo-path-query');
+const types = require('./lib/ogmneo-types');
+const mapProperties = require('./lib/ogmneo-map-properties');
+const fullTextIndex = require('./lib/ogmneo-fulltext-index');
+const migrations = require('./lib/ogmneo-migrations');
 module.exports = {
     Connection: connection,
     OGMNeoNode: nodes,
@@ -20,6 +31,17 @@ module.exports = {
     OGMNeoOperation: OGMNeoOperation,
     OGMNeoOperationBuilder: OGMNeoOperationBuilder,
     OGMNeoOperationExecuter: OGMNeoOperationExecuter,
+    OGMNeoModel: model,
+    OGMNeoSchema: schema,
+    OGMNeoValidationError: OGMNeoValidationError,
+    OGMNeoHooks: hooks,
+    OGMNeoRelationships: relationships,
+    OGMNeoPath: path,
+    OGMNeoPathQuery: pathQuery,
+    OGMNeoTypes: types,
+    OGMNeoMapProperties: mapProperties,
+    OGMNeoFullTextIndex: fullTextIndex,
+    OGMNeoMigrations: migrations,
     //Simplified names
     Node: nodes,
     Query: query,
@@ -30,5 +52,16 @@ module.exports = {
     RelationQuery: relationQuery,
     Operation: OGMNeoOperation,
     OperationBuilder: OGMNeoOperationBuilder,
-    OperationExecuter: OGMNeoOperationExecuter
+    OperationExecuter: OGMNeoOperationExecuter,
+    Model: model,
+    Schema: schema,
+    ValidationError: OGMNeoValidationError,
+    Hooks: hooks,
+    Relationships: relationships,
+    Path: path,
+    PathQuery: pathQuery,
+    Types: types,
+    MapProperties: mapProperties,
+    FullTextIndex: fullTextIndex,
+    Migrations: migrations
 };
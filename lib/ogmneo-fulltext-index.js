@@ -0,0 +1,116 @@
+'use strict';
+
+const _ = require('lodash');
+const { OGMNeoOperation, OGMNeoOperationBuilder } = require('./ogmneo-operation');
+const OGMNeoOperationExecuter = require('./ogmneo-operation-executer');
+
+/**
+    * @class OGMNeoFullTextIndex
+ */
+class OGMNeoFullTextIndex {
+
+    /**
+        * Creates a full-text index on neo4j over the properties of nodes with some of the labels. Full-text indexes are only available on neo4j 3.5 or later.
+        *
+        * @static
+        * @param {string} name - The index name, used to search it.
+        * @param {string|array} labels - The label or labels of the indexed nodes.
+        * @param {string|array} properties - The property or properties indexed.
+        * @returns {Promise<object|Error>} Neo4j result object if fulfilled, or some neo4j error if rejected.
+    */
+    static create(name, labels, properties) {
+        try {
+            return OGMNeoOperationExecuter.execute(this.createOperation(name, labels, properties));
+        } catch (error) {
+            return Promise.reject(error);
+        }
+    }
+
+    /**
+        * Operation that creates a full-text index.
+        *
+        * @static
+        * @param {string} name - The index name, used to search it.
+        * @param {string|array} labels - The label or labels of the indexed nodes.
+        * @param {string|array} properties - The property or properties indexed.
+        * @returns {OGMNeoOperation} Operation that creates the index.
+        * @throws {Error} Will throw an error if the name, some label or some property is not a non-empty string.
+    */
+    static createOperation(name, labels, properties) {
+        let descriptor = this._validDescriptor({ name: name, labels: labels, properties: properties });
+        return this._operation(this._cypher('CREATE', descriptor));
+    }
+
+    /**
+        * Drops a full-text index on neo4j.
+        *
+        * @static
+        * @param {string} name - The index name.
+        * @returns {Promise<object|Error>} Neo4j result object if fulfilled, or some neo4j error if rejected.
+    */
+    static drop(name) {
+        try {
+            return OGMNeoOperationExecuter.execute(this.dropOperation(name));
+        } catch (error) {
+            return Promise.reject(error);
+        }
+    }
+
+    /**
+        * Operation that drops a full-text index.
+        *
+        * @static
+        * @param {string} name - The index name.
+        * @returns {OGMNeoOperation} Operation that drops the index.
+        * @throws {Error} Will throw an error if the name is not a non-empty string.
+    */
+    static dropOperation(name) {
+        this._validName(name);
+        return this._operation(this._cypher('DROP', { name: name }));
+    }
+
+    static _operation(cypher) {
+        return OGMNeoOperationBuilder.create()
+            .cypher(cypher)
+            .type(OGMNeoOperation.WRITE)
+            .build();
+    }
+
+    static _validName(name) {
+        if (!_.isString(name) || _.isEmpty(name)) {
+            throw new Error('The full-text index name must be a non empty string');
+        }
+    }
+
+    static _validDescriptor(descriptor) {
+        this._validName(descriptor.name);
+        let labels = _.castArray(descriptor.labels);
+        let properties = _.castArray(descriptor.properties);
+        if (!this._isStringsArray(labels)) {
+            throw new Error('The full-text index labels must be non empty strings');
+        } else if (!this._isStringsArray(properties)) {
+            throw new Error('The full-text index properties must be non empty strings');
+        }
+        return { type: 'fullText', name: descriptor.name, labels: labels, properties: properties };
+    }
+
+    static _isStringsArray(values) {
+        return !_.isEmpty(values) && _.every(values, value => _.isString(value) && !_.isEmpty(value));
+    }
+
+    // Schema procedures are called with literals so the planned statements of OGMNeoIndex.sync are complete cypher.
+    static _cypher(operation, descriptor) {
+        if (operation === 'DROP') {
+            return `CALL db.index.fulltext.drop(${this._literal(descriptor.name)})`;
+        }
+        let labels = descriptor.labels.map(label => this._literal(label)).join(', ');
+        let properties = descriptor.properties.map(property => this._literal(property)).join(', ');
+        return `CALL db.index.fulltext.createNodeIndex(${this._literal(descriptor.name)}, [${labels}], [${properties}])`;
+    }
+
+    static _literal(value) {
+        return `'${value.replace(/\\/g, '\\\\').replace(/'/g, '\\\'')}'`;
+    }
+}
+
+module.exports = OGMNeoFullTextIndex;
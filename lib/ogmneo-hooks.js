@@ -0,0 +1,130 @@
+'use strict';
+
+const _ = require('lodash');
+
+const nodeEvents = ['beforeCreate', 'afterCreate', 'beforeUpdate', 'afterUpdate', 'beforeDelete', 'afterDelete', 'afterFind'];
+const relationEvents = ['beforeCreate', 'afterCreate', 'beforeUpdate', 'afterUpdate', 'beforeDelete', 'afterDelete'];
+
+var nodeHooks = {};
+var relationHooks = {};
+
+/**
+    * @class OGMNeoHooks
+ */
+class OGMNeoHooks {
+
+    /**
+        * Registers a hook that runs around OGMNeoNode create, update, delete, find and findOne for nodes with a label.
+        * The hook receives the payload(properties on before hooks, the result on after hooks) and a context object, and can mutate the payload, return a new one or abort the operation by throwing or returning a rejected promise.
+        * The context has the event, the labels of the node or query and, on updates and deletes, the node id.
+        * Hooks only run on the promise methods, not on the operations created with the Operation API.
+        *
+        * @static
+        * @param {string} label - The label of the nodes, or '*' for every node.
+        * @param {string} event - One of beforeCreate, afterCreate, beforeUpdate, afterUpdate, beforeDelete, afterDelete and afterFind.
+        * @param {function} hook - The hook function(payload, context) that may return a promise.
+        * @throws {Error} Will throw an error if the label is not a non-empty string, the event is unknown or the hook is not a function.
+    */
+    static onNode(label, event, hook) {
+        _addHook(nodeHooks, nodeEvents, label, event, hook);
+    }
+
+    /**
+        * Registers a hook that runs around OGMNeoRelation relate, update and deleteRelation for relations with a type.
+        * The hook receives the payload(properties on before hooks, the result on after hooks) and a context object, and can mutate the payload, return a new one or abort the operation by throwing or returning a rejected promise.
+        * Hooks only run on the promise methods, not on the operations created with the Operation API.
+        *
+        * @static
+        * @param {string} type - The relation type, or '*' for every relation.
+        * @param {string} event - One of beforeCreate, afterCreate, beforeUpdate, afterUpdate, beforeDelete and afterDelete.
+        * @param {function} hook - The hook function(payload, context) that may return a promise.
+        * @throws {Error} Will throw an error if the type is not a non-empty string, the event is unknown or the hook is not a function.
+    */
+    static onRelation(type, event, hook) {
+        _addHook(relationHooks, relationEvents, type, event, hook);
+    }
+
+    /**
+        * Removes a node hook. Without the hook parameter every hook of the label and event is removed.
+        *
+        * @static
+        * @param {string} label - The label of the nodes, or '*'.
+        * @param {string} event - The hook event.
+        * @param {function} [hook] - The hook function to be removed.
+    */
+    static offNode(label, event, hook) {
+        _removeHook(nodeHooks, label, event, hook);
+    }
+
+    /**
+        * Removes a relation hook. Without the hook parameter every hook of the type and event is removed.
+        *
+        * @static
+        * @param {string} type - The relation type, or '*'.
+        * @param {string} event - The hook event.
+        * @param {function} [hook] - The hook function to be removed.
+    */
+    static offRelation(type, event, hook) {
+        _removeHook(relationHooks, type, event, hook);
+    }
+
+    /**
+        * Removes every registered node and relation hook.
+        *
+        * @static
+    */
+    static clear() {
+        nodeHooks = {};
+        relationHooks = {};
+    }
+
+    static hasNodeHooks(events) {
+        return _hasHooks(nodeHooks, events);
+    }
+
+    static hasRelationHooks(events) {
+        return _hasHooks(relationHooks, events);
+    }
+
+    static runNodeHooks(labels, event, payload, context = {}) {
+        return _runHooks(nodeHooks, labels, event, payload, _.assign({ event: event }, context));
+    }
+
+    static runRelationHooks(types, event, payload, context = {}) {
+        return _runHooks(relationHooks, types, event, payload, _.assign({ event: event }, context));
+    }
+}
+
+function _addHook(registry, events, key, event, hook) {
+    if (!_.isString(key) || _.isEmpty(key)) {
+        throw new Error('The hook label or type must be a non empty string');
+    } else if (!_.includes(events, event)) {
+        throw new Error(`The hook event must be one of ${events.join(', ')}`);
+    } else if (!_.isFunction(hook)) {
+        throw new Error('The hook must be a function');
+    }
+    let hooks = _.get(registry, [key, event], []);
+    _.set(registry, [key, event], hooks.concat(hook));
+}
+
+function _removeHook(registry, key, event, hook) {
+    let hooks = _.get(registry, [key, event], []);
+    _.set(registry, [key, event], (hook != null) ? _.without(hooks, hook) : []);
+}
+
+function _hasHooks(registry, events) {
+    return _.some(registry, (hooks) => _.some(events, event => !_.isEmpty(hooks[event])));
+}
+
+// Wildcard hooks run first, then the hooks of each key in order. Each hook receives the payload returned by the previous one.
+function _runHooks(registry, keys, event, payload, context) {
+    let validKeys = _.castArray(keys).filter(key => _.isString(key) && !_.isEmpty(key));
+    let hooks = _.flatMap(_.uniq(['*'].concat(validKeys)), key => _.get(registry, [key, event], []));
+    return hooks.reduce((promise, hook) => {
+        return promise.then((value) => {
+            return Promise.resolve(hook(value, context)).then(result => (result === undefined) ? value : result);
+        });
+    }, Promise.resolve(payload));
+}
+
+module.exports = OGMNeoHooks;
@@ -1,11 +1,36 @@
 'use strict';
 
 const OGMNeo = require('./ogmneo');
+const OGMNeoObjectParse = require('./ogmneo-parse');
+const { OGMNeoOperation, OGMNeoOperationBuilder } = require('./ogmneo-operation');
+const OGMNeoOperationExecuter = require('./ogmneo-operation-executer');
+const OGMNeoFullTextIndex = require('./ogmneo-fulltext-index');
 const _ = require('lodash');
+
+const labelTypes = ['index', 'unique', 'nodeKey', 'exists'];
+const schemaTypes = labelTypes.concat('fullText');
+
+// The assertion of each constraint type on the properties of a variable.
+const constraintAssertions = {
+    unique: (variable, properties) => `${variable}.${_.first(properties)} IS UNIQUE`,
+    nodeKey: (variable, properties) => `(${properties.map(property => `${variable}.${property}`).join(', ')}) IS NODE KEY`,
+    exists: (variable, properties) => `exists(${variable}.${_.first(properties)})`
+};
+
 /**
     * @class OGMNeoIndex
  */
 class OGMNeoIndex {
+
+    /**
+     * The full-text indexes management, with create and drop methods. See OGMNeoFullTextIndex.
+     * @static
+     * @type {OGMNeoFullTextIndex}
+    */
+    static get fullText() {
+        return OGMNeoFullTextIndex;
+    }
+
     /**
         * Creates properties index on neo4j.
         *
@@ -30,6 +55,324 @@ class OGMNeoIndex {
         return this._index(label, properties, 'DROP');
     }
 
+    /**
+        * Creates an unique property constraint on neo4j. It also creates an index on the property.
+        *
+        * @static
+        * @param {string} label - Label of the constrained nodes.
+        * @param {string} property - The unique property.
+        * @returns {Promise<object|Error>} Neo4j result object if fulfilled, or some neo4j error if rejected.
+    */
+    static createUnique(label, property) {
+        return this._executeConstraint('CREATE', 'unique', label, property);
+    }
+
+    /**
+        * Operation that creates an unique property constraint.
+        *
+        * @static
+        * @param {string} label - Label of the constrained nodes.
+        * @param {string} property - The unique property.
+        * @returns {OGMNeoOperation} Operation that creates the constraint.
+        * @throws {Error} Will throw an error if the label or the property is not a non-empty string.
+    */
+    static createUniqueOperation(label, property) {
+        return this._constraintOperation('CREATE', 'unique', label, property);
+    }
+
+    /**
+        * Drops an unique property constraint on neo4j.
+        *
+        * @static
+        * @param {string} label - Label of the constrained nodes.
+        * @param {string} property - The unique property.
+        * @returns {Promise<object|Error>} Neo4j result object if fulfilled, or some neo4j error if rejected.
+    */
+    static dropUnique(label, property) {
+        return this._executeConstraint('DROP', 'unique', label, property);
+    }
+
+    /**
+        * Operation that drops an unique property constraint.
+        *
+        * @static
+        * @param {string} label - Label of the constrained nodes.
+        * @param {string} property - The unique property.
+        * @returns {OGMNeoOperation} Operation that drops the constraint.
+        * @throws {Error} Will throw an error if the label or the property is not a non-empty string.
+    */
+    static dropUniqueOperation(label, property) {
+        return this._constraintOperation('DROP', 'unique', label, property);
+    }
+
+    /**
+        * Creates a node key constraint on neo4j, the properties must exist and be unique together. Node keys are only available on neo4j enterprise edition 3.3 or later.
+        *
+        * @static
+        * @param {string} label - Label of the constrained nodes.
+        * @param {string|array} properties - The property or properties of the key.
+        * @returns {Promise<object|Error>} Neo4j result object if fulfilled, or some neo4j error if rejected.
+    */
+    static createNodeKey(label, properties) {
+        return this._executeConstraint('CREATE', 'nodeKey', label, properties);
+    }
+
+    /**
+        * Operation that creates a node key constraint.
+        *
+        * @static
+        * @param {string} label - Label of the constrained nodes.
+        * @param {string|array} properties - The property or properties of the key.
+        * @returns {OGMNeoOperation} Operation that creates the constraint.
+        * @throws {Error} Will throw an error if the label or some property is not a non-empty string.
+    */
+    static createNodeKeyOperation(label, properties) {
+        return this._constraintOperation('CREATE', 'nodeKey', label, properties);
+    }
+
+    /**
+        * Drops a node key constraint on neo4j.
+        *
+        * @static
+        * @param {string} label - Label of the constrained nodes.
+        * @param {string|array} properties - The property or properties of the key.
+        * @returns {Promise<object|Error>} Neo4j result object if fulfilled, or some neo4j error if rejected.
+    */
+    static dropNodeKey(label, properties) {
+        return this._executeConstraint('DROP', 'nodeKey', label, properties);
+    }
+
+    /**
+        * Operation that drops a node key constraint.
+        *
+        * @static
+        * @param {string} label - Label of the constrained nodes.
+        * @param {string|array} properties - The property or properties of the key.
+        * @returns {OGMNeoOperation} Operation that drops the constraint.
+        * @throws {Error} Will throw an error if the label or some property is not a non-empty string.
+    */
+    static dropNodeKeyOperation(label, properties) {
+        return this._constraintOperation('DROP', 'nodeKey', label, properties);
+    }
+
+    /**
+        * Creates a property existence constraint on neo4j. Existence constraints are only available on neo4j enterprise edition.
+        *
+        * @static
+        * @param {string} label - Label of the constrained nodes.
+        * @param {string} property - The property that must exist.
+        * @returns {Promise<object|Error>} Neo4j result object if fulfilled, or some neo4j error if rejected.
+    */
+    static createExists(label, property) {
+        return this._executeConstraint('CREATE', 'exists', label, property);
+    }
+
+    /**
+        * Operation that creates a property existence constraint.
+        *
+        * @static
+        * @param {string} label - Label of the constrained nodes.
+        * @param {string} property - The property that must exist.
+        * @returns {OGMNeoOperation} Operation that creates the constraint.
+        * @throws {Error} Will throw an error if the label or the property is not a non-empty string.
+    */
+    static createExistsOperation(label, property) {
+        return this._constraintOperation('CREATE', 'exists', label, property);
+    }
+
+    /**
+        * Drops a property existence constraint on neo4j.
+        *
+        * @static
+        * @param {string} label - Label of the constrained nodes.
+        * @param {string} property - The property that must exist.
+        * @returns {Promise<object|Error>} Neo4j result object if fulfilled, or some neo4j error if rejected.
+    */
+    static dropExists(label, property) {
+        return this._executeConstraint('DROP', 'exists', label, property);
+    }
+
+    /**
+        * Operation that drops a property existence constraint.
+        *
+        * @static
+        * @param {string} label - Label of the constrained nodes.
+        * @param {string} property - The property that must exist.
+        * @returns {OGMNeoOperation} Operation that drops the constraint.
+        * @throws {Error} Will throw an error if the label or the property is not a non-empty string.
+    */
+    static dropExistsOperation(label, property) {
+        return this._constraintOperation('DROP', 'exists', label, property);
+    }
+
+    /**
+        * Lists the indexes and constraints of the database as descriptors like { type, label, properties }, where type is index, unique, nodeKey or exists.
+        * Relationship existence constraints have relationType instead of label, full-text indexes are like { type: 'fullText', name, labels, properties } and the ones that could not be read have type unknown and the neo4j description.
+        * The indexes that back unique and node key constraints are not listed.
+        *
+        * @static
+        * @returns {Promise<array|Error>} The descriptors if fulfilled, or some neo4j error if rejected.
+    */
+    static list() {
+        let operations = [
+            OGMNeoOperationBuilder.create().cypher('CALL db.indexes()').type(OGMNeoOperation.READ).then((result) => {
+                return _.compact(result.records.map(record => this._indexDescriptor(OGMNeoObjectParse.recordToRow(record))));
+            }).build(),
+            OGMNeoOperationBuilder.create().cypher('CALL db.constraints()').type(OGMNeoOperation.READ).then((result) => {
+                return result.records.map(record => this._constraintDescriptor(record.get('description')));
+            }).build()
+        ];
+        return OGMNeoOperationExecuter.batchReadOperations(operations).then(_.flatten);
+    }
+
+    /**
+        * Synchronizes the indexes and constraints of the database with a schema, creating only the missing ones. Statements of the database are executed one by one, in separated transactions.
+        * The schema can be an array of models and descriptors like the ones returned by list, e.g. { type: 'unique', label: 'Person', properties: ['email'] },
+        * or an object keyed by label like { Person: { index: ['age', ['firstName', 'lastName']], unique: ['email'], nodeKey: [['firstName', 'lastName']], exists: ['name'] } }.
+        * Full-text indexes are declared with descriptors like { type: 'fullText', name: 'people', labels: ['Person'], properties: ['name', 'bio'] }.
+        * Models declare them with the index, unique and exists rules of their properties.
+        *
+        * @static
+        * @param {array|object} schema - The declared indexes and constraints.
+        * @param {object} [options={}] - dropUnknown(boolean, default false) drops the indexes and constraints of the database that are not declared. dryRun(boolean, default false) only returns the statements, without executing them.
+        * @returns {Promise<array|Error>} The cypher of the planned or executed statements, drops first, if fulfilled, or some neo4j error if rejected.
+    */
+    static sync(schema, options = {}) {
+        try {
+            let declared = _.uniqBy(this._schemaDescriptors(schema), this._descriptorKey);
+            return this.list().then((existing) => {
+                let known = existing.filter(descriptor => descriptor.type !== 'unknown');
+                let statements = [];
+                if (options.dropUnknown) {
+                    statements = _.differenceBy(known, declared, this._descriptorKey).map(descriptor => this._schemaCypher('DROP', descriptor));
+                }
+                statements = statements.concat(_.differenceBy(declared, known, this._descriptorKey).map(descriptor => this._schemaCypher('CREATE', descriptor)));
+                if (options.dryRun) {
+                    return statements;
+                }
+                return statements.reduce((promise, cypher) => {
+                    return promise.then(() => OGMNeoOperationExecuter.execute(OGMNeoOperationBuilder.create().cypher(cypher).type(OGMNeoOperation.WRITE).build()));
+                }, Promise.resolve()).then(() => statements);
+            });
+        } catch (error) {
+            return Promise.reject(error);
+        }
+    }
+
+    static _schemaDescriptors(schema) {
+        if (_.isArray(schema)) {
+            return _.flatMap(schema, (item) => {
+                let descriptors = (_.isFunction(item) && _.isArray(item.indexes)) ? item.indexes : [item];
+                return descriptors.map(descriptor => this._validDescriptor(descriptor));
+            });
+        } else if (_.isPlainObject(schema)) {
+            return _.flatMap(_.keys(schema), (label) => {
+                return _.flatMap(labelTypes, (type) => {
+                    return _.castArray(schema[label][type] || []).map(properties => this._validDescriptor({ type: type, label: label, properties: properties }));
+                });
+            });
+        }
+        throw new Error('The schema must be an array of models and descriptors or an object keyed by label');
+    }
+
+    static _validDescriptor(descriptor) {
+        let type = _.get(descriptor, 'type');
+        if (!_.includes(schemaTypes, type)) {
+            throw new Error(`The schema type ${type} must be one of ${schemaTypes.join(', ')}`);
+        }
+        if (type === 'fullText') {
+            return OGMNeoFullTextIndex._validDescriptor(descriptor);
+        }
+        let kind = (type === 'index') ? 'index' : 'constraint';
+        let relationType = (type === 'exists') ? descriptor.relationType : null;
+        if (relationType == null && (!_.isString(descriptor.label) || _.isEmpty(descriptor.label))) {
+            throw new Error(`The ${kind} label must be a non empty string`);
+        } else if (relationType != null && (!_.isString(relationType) || _.isEmpty(relationType))) {
+            throw new Error('The constraint relation type must be a non empty string');
+        }
+        let properties = _.castArray(descriptor.properties);
+        if (_.isEmpty(properties) || !_.every(properties, property => _.isString(property) && !_.isEmpty(property))) {
+            throw new Error(`The ${kind} properties must be non empty strings`);
+        } else if ((type === 'unique' || type === 'exists') && properties.length > 1) {
+            throw new Error('The unique and exists constraints must have only one property');
+        }
+        return (relationType != null) ? { type: type, relationType: relationType, properties: properties } : { type: type, label: descriptor.label, properties: properties };
+    }
+
+    static _descriptorKey(descriptor) {
+        if (descriptor.type === 'fullText') {
+            return `fullText ${descriptor.name} (${descriptor.labels.join(', ')}) ${descriptor.properties.join(', ')}`;
+        }
+        let target = (descriptor.relationType != null) ? `[${descriptor.relationType}]` : `(${descriptor.label})`;
+        return `${descriptor.type} ${target} ${descriptor.properties.join(', ')}`;
+    }
+
+    static _schemaCypher(operation, descriptor) {
+        if (descriptor.type === 'fullText') {
+            return OGMNeoFullTextIndex._cypher(operation, descriptor);
+        } else if (descriptor.type === 'index') {
+            return `${operation} INDEX ON :${descriptor.label}(${descriptor.properties.join(', ')})`;
+        } else if (descriptor.relationType != null) {
+            return `${operation} CONSTRAINT ON ()-[r:${descriptor.relationType}]-() ASSERT ${constraintAssertions[descriptor.type]('r', descriptor.properties)}`;
+        }
+        return `${operation} CONSTRAINT ON (n:${descriptor.label}) ASSERT ${constraintAssertions[descriptor.type]('n', descriptor.properties)}`;
+    }
+
+    static _executeConstraint(operation, type, label, properties) {
+        try {
+            return OGMNeoOperationExecuter.execute(this._constraintOperation(operation, type, label, properties));
+        } catch (error) {
+            return Promise.reject(error);
+        }
+    }
+
+    static _constraintOperation(operation, type, label, properties) {
+        let descriptor = this._validDescriptor({ type: type, label: label, properties: properties });
+        return OGMNeoOperationBuilder.create()
+            .cypher(this._schemaCypher(operation, descriptor))
+            .type(OGMNeoOperation.WRITE)
+            .build();
+    }
+
+    // Rows of db.indexes differ between neo4j versions, the description is used when the label and properties columns are missing.
+    static _indexDescriptor(row) {
+        if (row.uniqueness === 'UNIQUE' || /unique/i.test(row.type)) {
+            return null;
+        } else if (row.entityType === 'RELATIONSHIP' || /relationship/i.test(row.type)) {
+            return { type: 'unknown', description: row.description || row.name };
+        } else if (/fulltext/i.test(row.type)) {
+            return { type: 'fullText', name: row.indexName || row.name, labels: row.tokenNames || row.labelsOrTypes, properties: row.properties };
+        }
+        let label = row.label || _.first(row.tokenNames || row.labelsOrTypes);
+        let properties = row.properties;
+        let match = /INDEX ON :(\w+)\(([^)]*)\)/i.exec(row.description || '');
+        if ((label == null || properties == null) && match != null) {
+            label = match[1];
+            properties = match[2].split(',').map(_.trim);
+        }
+        return { type: 'index', label: label, properties: properties };
+    }
+
+    static _constraintDescriptor(description) {
+        let node = /^CONSTRAINT ON \(\s*(\w+):(\w+)\s*\) ASSERT (.+)$/i.exec(description);
+        let relation = /^CONSTRAINT ON \(\s*\)-\[\s*(\w+):(\w+)\s*\]-\(\s*\) ASSERT exists\(\w+\.(\w+)\)$/i.exec(description);
+        if (relation != null) {
+            return { type: 'exists', relationType: relation[2], properties: [relation[3]] };
+        } else if (node != null) {
+            let variable = node[1];
+            let assertion = node[3];
+            let properties = (assertion.match(new RegExp(`${variable}\\.\\w+`, 'g')) || []).map(property => property.substring(variable.length + 1));
+            if (/IS UNIQUE$/i.test(assertion)) {
+                return { type: 'unique', label: node[2], properties: properties };
+            } else if (/IS NODE KEY$/i.test(assertion)) {
+                return { type: 'nodeKey', label: node[2], properties: properties };
+            } else if (/^exists\(/i.test(assertion)) {
+                return { type: 'exists', label: node[2], properties: properties };
+            }
+        }
+        return { type: 'unknown', description: description };
+    }
+
     static _index(label, properties, operation) {
         return new Promise((resolve, reject) => {
             //Check for valid types on parameters            
@@ -0,0 +1,182 @@
+'use strict';
+
+const _ = require('lodash');
+
+const strategies = ['json', 'flatten'];
+
+var mapProperties = {};
+
+/**
+    * @class OGMNeoMapProperties
+ */
+class OGMNeoMapProperties {
+
+    /**
+        * Declares how map properties of nodes with a label are stored, since neo4j can't store maps as properties.
+        * With json the map is stored as a JSON string. With flatten each map key is stored as a property prefixed with the property name, e.g. address: {city} as address_city,
+        and the map keys are stored as a list in the property name followed by __keys, e.g. address__keys, so only those properties are read back into the map.
+        * Flattened maps can't have nested maps. Both are converted back to maps when the nodes are read.
+        *
+        * @static
+        * @param {string} label - The label of the nodes.
+        * @param {object} properties - The strategy of each map property. Example: { address: 'flatten', settings: 'json' }.
+        * @returns {object} Every map property declared for the label.
+        * @throws {Error} Will throw an error if the label is not a non-empty string or some strategy is invalid.
+    */
+    static define(label, properties) {
+        if (!_.isString(label) || _.isEmpty(label)) {
+            throw new Error('The map properties label must be a non empty string');
+        }
+        _.forIn(properties, (strategy, property) => {
+            if (!_.includes(strategies, strategy)) {
+                throw new Error(`The strategy of map property ${property} must be one of ${strategies.join(', ')}`);
+            }
+        });
+        mapProperties[label] = _.assign({}, mapProperties[label], properties);
+        return this.properties(label);
+    }
+
+    /**
+        * Every map property declared for a label or labels with its strategy.
+        *
+        * @static
+        * @param {string|array} labels - The label or labels of the nodes.
+        * @returns {object} The strategies keyed by property.
+    */
+    static properties(labels) {
+        return _.castArray(labels).reduce((properties, label) => {
+            return _.assign(properties, mapProperties[label]);
+        }, {});
+    }
+
+    /**
+        * Removes the map properties declared for a label.
+        *
+        * @static
+        * @param {string} label - The label of the nodes.
+    */
+    static remove(label) {
+        delete mapProperties[label];
+    }
+
+    /**
+        * Removes every declared map property.
+        *
+        * @static
+    */
+    static clear() {
+        mapProperties = {};
+    }
+
+    /**
+        * Converts the declared map properties of a node to values that neo4j can store.
+        *
+        * @static
+        * @param {string|array} labels - The label or labels of the node.
+        * @param {object} node - The literal object with node properties.
+        * @param {object} [storedKeys={}] - The keys already stored for each flattened property, see storedKeysCypher. The stored keys that are not in the new map are set to null, so they are removed.
+        * @returns {object} A copy of the node properties with the maps converted.
+        * @throws {Error} Will throw an error if a flattened property is not a map or has nested maps.
+    */
+    static serialize(labels, node, storedKeys = {}) {
+        let value = _.assign({}, node);
+        _.forIn(this.properties(labels), (strategy, property) => {
+            let map = value[property];
+            if (map === undefined || (map === null && strategy === 'json')) {
+                return;
+            } else if (strategy === 'json') {
+                value[property] = JSON.stringify(map);
+                return;
+            } else if (map !== null && !_.isPlainObject(map)) {
+                throw new Error(`The map property ${property} must be an object to be flattened`);
+            }
+            delete value[property];
+            _.forIn(map, (item, key) => {
+                if (_.isPlainObject(item)) {
+                    throw new Error(`The flattened map property ${property} can't have nested maps, use json for them`);
+                }
+                value[`${property}_${key}`] = item;
+            });
+            _.difference(_.get(storedKeys, property, []), _.keys(map)).forEach((key) => {
+                value[`${property}_${key}`] = null;
+            });
+            value[this._keysProperty(property)] = (map !== null) ? _.keys(map) : null;
+        });
+        return value;
+    }
+
+    /**
+        * The flattened map properties of a node that are present on an update, whose stored keys must be read to remove the keys that are not in the new maps.
+        *
+        * @static
+        * @param {string|array} labels - The label or labels of the node.
+        * @param {object} node - The literal object with node properties.
+        * @returns {array} The flattened property names.
+    */
+    static flattenedProperties(labels, node) {
+        return _.keys(_.pickBy(this.properties(labels), (strategy, property) => strategy === 'flatten' && node[property] !== undefined));
+    }
+
+    /**
+        * The cypher return clause with the stored keys of flattened map properties of the nodes matched as n, each one returned with the property name.
+        *
+        * @static
+        * @param {array} properties - The flattened property names.
+        * @returns {string} The return clause.
+    */
+    static storedKeysCypher(properties) {
+        return `RETURN ${properties.map(property => `n.${this._keysProperty(property)} AS ${property}`).join(', ')}`;
+    }
+
+    /**
+        * Converts the declared map properties of a node read from neo4j back to maps.
+        *
+        * @static
+        * @param {string|array} labels - The label or labels of the node.
+        * @param {object} node - The literal object with node properties.
+        * @returns {object} The node properties with the maps, the same object.
+    */
+    static deserialize(labels, node) {
+        _.forIn(this.properties(labels), (strategy, property) => {
+            if (strategy === 'json') {
+                if (_.has(node, property)) {
+                    node[property] = this._parseJSON(node[property]);
+                }
+                return;
+            }
+            // Only the recorded keys are read, so other properties with the same prefix are kept
+            let keysProperty = this._keysProperty(property);
+            if (!_.isArray(node[keysProperty])) {
+                return;
+            }
+            node[property] = node[keysProperty].reduce((map, key) => {
+                let flattened = `${property}_${key}`;
+                if (_.has(node, flattened)) {
+                    map[key] = node[flattened];
+                    delete node[flattened];
+                }
+                return map;
+            }, {});
+            delete node[keysProperty];
+        });
+        return node;
+    }
+
+    static _keysProperty(property) {
+        return `${property}__keys`;
+    }
+
+    // Values that are not JSON, like the ones stored before the property was declared, are kept as they are.
+    static _parseJSON(value) {
+        if (!_.isString(value)) {
+            return value;
+        }
+        try {
+            return JSON.parse(value);
+        } catch (error) {
+            return value;
+        }
+    }
+}
+
+module.exports = OGMNeoMapProperties;
@@ -0,0 +1,259 @@
+'use strict';
+
+const _ = require('lodash');
+const fs = require('fs');
+const path = require('path');
+const neo4j = require('neo4j-driver').v1;
+const { OGMNeoOperation, OGMNeoOperationBuilder } = require('./ogmneo-operation');
+const OGMNeoOperationExecuter = require('./ogmneo-operation-executer');
+const OGMNeoIndex = require('./ogmneo-index');
+
+const migrationLabel = 'OGMNeoMigration';
+const lockLabel = 'OGMNeoMigrationLock';
+const lockName = 'migrations';
+
+/**
+    * @class OGMNeoMigrations
+ */
+class OGMNeoMigrations {
+
+    /**
+        * Applies every pending migration in version order. Each migration runs in its own write transaction and is recorded as an OGMNeoMigration node.
+        * The migrations are locked while they run, so only one process migrates at a time.
+        *
+        * @static
+        * @param {string|array} migrations - A directory with the migration files or an array of migrations.
+        Each file is named with its version number and a name, like 20180310120000_create_people.js, and exports up(transaction) and down(transaction) functions that return promises.
+        The transaction can be used with OGMNeoOperationExecuter.execute(operation, transaction). Migrations that change indexes or constraints must also export schema: true, then they are recorded in another transaction.
+        The migrations of an array are objects like { version, name, up, down, schema }.
+        * @returns {Promise.<array|Error>} The applied versions if fulfilled, or some error if rejected.
+    */
+    static up(migrations) {
+        return this._migrate(migrations, (available, applied) => {
+            return { up: available.filter(migration => !_.includes(applied, migration.version)), down: [] };
+        });
+    }
+
+    /**
+        * Reverts the last applied migrations, from the latest version. The migrations are locked while they run.
+        *
+        * @static
+        * @param {string|array} migrations - A directory with the migration files or an array of migrations. See up.
+        * @param {integer} [steps=1] - The number of migrations to revert.
+        * @returns {Promise.<array|Error>} The reverted versions if fulfilled, or some error if rejected.
+    */
+    static down(migrations, steps = 1) {
+        return this._migrate(migrations, (available, applied) => {
+            if (!_.isInteger(steps) || steps < 1) {
+                throw new Error('The migration steps must be a positive integer');
+            }
+            return { up: [], down: this._appliedMigrations(available, _.takeRight(applied, steps)) };
+        });
+    }
+
+    /**
+        * Applies or reverts migrations until the version is the latest applied one. Version 0 reverts every migration. The migrations are locked while they run.
+        *
+        * @static
+        * @param {string|array} migrations - A directory with the migration files or an array of migrations. See up.
+        * @param {string|integer} version - The target version.
+        * @returns {Promise.<object|Error>} {up, down} with the applied and reverted versions if fulfilled, or some error if rejected.
+    */
+    static to(migrations, version) {
+        let target = _.toString(version);
+        return this._migrate(migrations, (available, applied) => {
+            if (target !== '0' && !_.some(available, migration => migration.version === target)) {
+                throw new Error(`The migration version ${target} was not found`);
+            }
+            let after = value => this._compareVersions(value, target) > 0;
+            return {
+                up: available.filter(migration => !after(migration.version) && !_.includes(applied, migration.version)),
+                down: this._appliedMigrations(available, applied.filter(after))
+            };
+        }, true);
+    }
+
+    /**
+        * The status of every migration.
+        *
+        * @static
+        * @param {string|array} migrations - A directory with the migration files or an array of migrations. See up.
+        * @returns {Promise.<array|Error>} Objects like { version, name, applied, appliedAt } in version order, where appliedAt is a Date or null, if fulfilled, or some error if rejected.
+    */
+    static status(migrations) {
+        try {
+            let available = this.load(migrations);
+            return this._applied().then((applied) => {
+                return available.map((migration) => {
+                    let record = _.find(applied, ['version', migration.version]);
+                    return { version: migration.version, name: migration.name, applied: record != null, appliedAt: (record != null) ? record.appliedAt : null };
+                });
+            });
+        } catch (error) {
+            return Promise.reject(error);
+        }
+    }
+
+    /**
+        * Releases the migrations lock, for when a process stopped while it was migrating.
+        *
+        * @static
+        * @returns {Promise.<object|Error>} Neo4j result object if fulfilled, or some neo4j error if rejected.
+    */
+    static unlock() {
+        let operation = OGMNeoOperationBuilder.create()
+            .cypher(`MATCH (l:${lockLabel} {name: {name}}) DELETE l`)
+            .object({ name: lockName })
+            .type(OGMNeoOperation.WRITE)
+            .build();
+        return OGMNeoOperationExecuter.execute(operation);
+    }
+
+    /**
+        * Loads and validates migrations, sorted by version.
+        *
+        * @static
+        * @param {string|array} migrations - A directory with the migration files or an array of migrations. See up.
+        * @returns {array} The migrations like { version, name, up, down, schema }.
+        * @throws {Error} Will throw an error if some file name has no version, some migration has no up function or some version is duplicated.
+    */
+    static load(migrations) {
+        let loaded;
+        if (_.isString(migrations)) {
+            loaded = fs.readdirSync(migrations).filter(file => path.extname(file) === '.js').map((file) => {
+                let match = /^(\d+)[_-]?(.*)\.js$/.exec(file);
+                if (match == null) {
+                    throw new Error(`The migration file ${file} name must start with its version number`);
+                }
+                return _.assign({ name: match[2] }, require(path.resolve(migrations, file)), { version: match[1] });
+            });
+        } else if (_.isArray(migrations)) {
+            loaded = migrations.map(migration => _.assign({}, migration, { version: _.toString(_.get(migration, 'version')) }));
+        } else {
+            throw new Error('The migrations must be a directory or an array of migrations');
+        }
+        loaded.forEach((migration) => {
+            if (!/^\d+$/.test(migration.version) || /^0+$/.test(migration.version)) {
+                throw new Error(`The migration version ${migration.version} must be a positive number`);
+            } else if (!_.isFunction(migration.up)) {
+                throw new Error(`The migration ${migration.version} must have an up function`);
+            }
+        });
+        let versions = loaded.map(migration => migration.version);
+        let duplicated = _.find(versions, (version, index) => versions.indexOf(version) !== index);
+        if (duplicated != null) {
+            throw new Error(`The migration version ${duplicated} is duplicated`);
+        }
+        return loaded.sort((a, b) => this._compareVersions(a.version, b.version));
+    }
+
+    static _migrate(migrations, plan, grouped = false) {
+        try {
+            let available = this.load(migrations);
+            return this._lock().then(() => {
+                return this._applied().then((applied) => {
+                    let steps = plan(available, applied.map(record => record.version));
+                    return this._runAll(steps.down, 'down').then((down) => {
+                        return this._runAll(steps.up, 'up').then(up => (grouped) ? { up: up, down: down } : down.concat(up));
+                    });
+                }).then((result) => {
+                    return this.unlock().then(() => result);
+                }, (error) => {
+                    return this.unlock().then(() => Promise.reject(error));
+                });
+            });
+        } catch (error) {
+            return Promise.reject(error);
+        }
+    }
+
+    // The applied versions are reverted from the latest one and must have a down function.
+    static _appliedMigrations(available, versions) {
+        return versions.slice().reverse().map((version) => {
+            let migration = _.find(available, ['version', version]);
+            if (migration == null) {
+                throw new Error(`The applied migration ${version} was not found`);
+            } else if (!_.isFunction(migration.down)) {
+                throw new Error(`The migration ${version} must have a down function`);
+            }
+            return migration;
+        });
+    }
+
+    static _runAll(migrations, direction) {
+        return migrations.reduce((promise, migration) => {
+            return promise.then((versions) => {
+                return this._run(migration, direction).then(() => versions.concat(migration.version));
+            });
+        }, Promise.resolve([]));
+    }
+
+    // Neo4j can't change the schema and the data in the same transaction, so schema migrations are recorded after they are committed.
+    static _run(migration, direction) {
+        let record = this._recordOperation(migration, direction);
+        if (migration.schema) {
+            return OGMNeoOperationExecuter.write(transaction => Promise.resolve(migration[direction](transaction)))
+                .then(() => OGMNeoOperationExecuter.execute(record));
+        }
+        return OGMNeoOperationExecuter.write((transaction) => {
+            return Promise.resolve(migration[direction](transaction)).then(() => OGMNeoOperationExecuter.execute(record, transaction));
+        });
+    }
+
+    static _recordOperation(migration, direction) {
+        let cypher = (direction === 'up') ?
+            `MERGE (m:${migrationLabel} {version: {version}}) SET m.name = {name}, m.appliedAt = timestamp()` :
+            `MATCH (m:${migrationLabel} {version: {version}}) DELETE m`;
+        return OGMNeoOperationBuilder.create()
+            .cypher(cypher)
+            .object({ version: migration.version, name: migration.name || '' })
+            .type(OGMNeoOperation.WRITE)
+            .build();
+    }
+
+    static _applied() {
+        let operation = OGMNeoOperationBuilder.create()
+            .cypher(`MATCH (m:${migrationLabel}) RETURN m.version AS version, m.appliedAt AS appliedAt`)
+            .type(OGMNeoOperation.READ)
+            .then((result) => {
+                let applied = result.records.map((record) => {
+                    return { version: record.get('version'), appliedAt: new Date(neo4j.integer.toNumber(record.get('appliedAt'))) };
+                });
+                return applied.sort((a, b) => this._compareVersions(a.version, b.version));
+            }).build();
+        return OGMNeoOperationExecuter.execute(operation);
+    }
+
+    // The lock is a node with an unique name, so a second process fails to create it until it is released.
+    static _lock() {
+        return OGMNeoIndex.sync([{ type: 'unique', label: lockLabel, properties: ['name'] }]).catch((error) => {
+            // On a first run another process may create the constraint after it was listed.
+            return (this._isAlreadyExists(error)) ? null : Promise.reject(error);
+        }).then(() => {
+            let operation = OGMNeoOperationBuilder.create()
+                .cypher(`CREATE (l:${lockLabel} {name: {name}, lockedAt: timestamp()})`)
+                .object({ name: lockName })
+                .type(OGMNeoOperation.WRITE)
+                .build();
+            return OGMNeoOperationExecuter.execute(operation);
+        }).catch((error) => {
+            if (error.code === 'Neo.ClientError.Schema.ConstraintValidationFailed') {
+                return Promise.reject(new Error('The migrations are locked by another process'));
+            }
+            return Promise.reject(error);
+        });
+    }
+
+    static _isAlreadyExists(error) {
+        return /^Neo\.ClientError\.Schema\.\w*AlreadyExists$/.test(_.get(error, 'code'));
+    }
+
+    static _compareVersions(a, b) {
+        let length = Math.max(a.length, b.length);
+        let first = _.padStart(a, length, '0');
+        let second = _.padStart(b, length, '0');
+        return (first === second) ? 0 : ((first < second) ? -1 : 1);
+    }
+}
+
+module.exports = OGMNeoMigrations;
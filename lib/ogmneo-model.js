@@ -0,0 +1,368 @@
+'use strict';
+
+const _ = require('lodash');
+
+const OGMNeoNode = require('./ogmneo-node');
+const OGMNeoQuery = require('./ogmneo-query');
+const OGMNeoWhere = require('./ogmneo-where');
+const OGMNeoSchema = require('./ogmneo-schema');
+const OGMNeoRelationships = require('./ogmneo-relationships');
+const OGMNeoMapProperties = require('./ogmneo-map-properties');
+
+/**
+    * @class OGMNeoModel
+ */
+class OGMNeoModel {
+
+    /**
+        * Defines a model bound to a label. The returned class has create, find, findOne, update and delete methods that work on nodes with the label and return model instances. Those methods run the OGMNeoHooks of the label.
+        *
+        * @static
+        * @param {string} label - The label of the model nodes.
+        * @param {object} [schema={}] - The model properties definitions. Each property can be a type name or an object with a type and validation rules. Example: { name: {type: 'string', required: true}, age: 'integer', createdAt: 'date' }.
+        Possible types are: string, number, integer, float, boolean, date, array and object. See OGMNeoSchema.normalize for the validation rules and how objects are stored.
+        * @returns {class} The model class.
+        * @throws {Error} Will throw an error if the label is not a non-empty string.
+        * @throws {Error} Will throw an error if some property definition is invalid.
+    */
+    static define(label, schema = {}) {
+        if (!_.isString(label) || _.isEmpty(label)) {
+            throw new Error('The model label must be a non empty string');
+        }
+        let model = class extends OGMNeoModel {};
+        Object.defineProperty(model, 'name', { value: label });
+        model._label = label;
+        model._schema = OGMNeoSchema.normalize(schema);
+        let maps = _.pickBy(model._schema, definition => definition.type === 'object');
+        if (!_.isEmpty(maps)) {
+            OGMNeoMapProperties.define(label, _.mapValues(maps, 'storage'));
+        }
+        return model;
+    }
+
+    /**
+     * The label of the model nodes.
+     * @static
+     * @type {string}
+    */
+    static get label() {
+        return this._label;
+    }
+
+    /**
+     * The normalized properties definitions of the model. Every definition is an object with at least the type.
+     * @static
+     * @type {object}
+    */
+    static get schema() {
+        return this._schema || {};
+    }
+
+    /**
+     * The indexes and constraints declared by the index, unique and exists rules of the model properties, as OGMNeoIndex descriptors. See OGMNeoIndex.sync.
+     * @static
+     * @type {array}
+    */
+    static get indexes() {
+        return _.flatMap(['index', 'unique', 'exists'], (type) => {
+            return _.keys(_.pickBy(this.schema, type)).map(property => ({ type: type, label: this.label, properties: [property] }));
+        });
+    }
+
+    /**
+     * The relationships declared for the model label keyed by name.
+     * @static
+     * @type {object}
+    */
+    static get relationships() {
+        return OGMNeoRelationships.relationships(this.label);
+    }
+
+    /**
+        * Declares that the model nodes have many related nodes, that can be populated as an array with the populate option of find and findOne.
+        *
+        * @static
+        * @param {string|class} target - The label or the model of the related nodes.
+        * @param {string} type - The relation type.
+        * @param {string} [direction='out'] - The relation direction from the model nodes: 'out', 'in' or 'both'.
+        * @param {string} [name=null] - The name of the populated property. Default is the plural camel case target label, e.g. 'posts' for 'Post'.
+        * @returns {class} The model class.
+        * @throws {Error} Will throw an error if some parameter is invalid.
+    */
+    static hasMany(target, type, direction = 'out', name = null) {
+        OGMNeoRelationships.hasMany(this.label, this._targetLabel(target), type, direction, name);
+        return this;
+    }
+
+    /**
+        * Declares that the model nodes have one related node, that can be populated as an object or null with the populate option of find and findOne.
+        *
+        * @static
+        * @param {string|class} target - The label or the model of the related node.
+        * @param {string} type - The relation type.
+        * @param {string} [direction='out'] - The relation direction from the model nodes: 'out', 'in' or 'both'.
+        * @param {string} [name=null] - The name of the populated property. Default is the camel case target label, e.g. 'profile' for 'Profile'.
+        * @returns {class} The model class.
+        * @throws {Error} Will throw an error if some parameter is invalid.
+    */
+    static hasOne(target, type, direction = 'out', name = null) {
+        OGMNeoRelationships.hasOne(this.label, this._targetLabel(target), type, direction, name);
+        return this;
+    }
+
+    /**
+        * Constructs a model instance with properties. The instance is not saved until save is called.
+        *
+        * @constructor
+        * @param {object} [properties={}] - The literal object with the instance properties.
+    */
+    constructor(properties = {}) {
+        _.assign(this, properties);
+    }
+
+    /**
+        * Creates a node with the model label. The properties are validated and coerced with the model schema before any cypher is sent.
+        *
+        * @static
+        * @param {object} properties - The literal object with node properties.
+        * @returns {Promise.<OGMNeoModel|Error>} Created model instance if fulfilled, or OGMNeoValidationError or some neo4j error if rejected.
+    */
+    static create(properties) {
+        try {
+            let value = OGMNeoSchema.validate(this.schema, this._properties(properties));
+            return OGMNeoNode.create(value, this.label).then(node => this._instance(node));
+        } catch (error) {
+            return Promise.reject(error);
+        }
+    }
+
+    /**
+        * Operation that creates a node with the model label.
+        *
+        * @static
+        * @param {object} properties - The literal object with node properties.
+        * @returns {OGMNeoOperation} Operation that creates the node and returns a model instance.
+        * @throws {OGMNeoValidationError} Will throw an error listing every property that fails the schema validation.
+    */
+    static createOperation(properties) {
+        let value = OGMNeoSchema.validate(this.schema, this._properties(properties));
+        let operation = OGMNeoNode.createOperation(value, this.label);
+        return this._instanceOperation(operation);
+    }
+
+    /**
+        * Find the model nodes that match the query.
+        *
+        * @static
+        * @param {OGMNeoQuery|OGMNeoWhere|object} [query=null] - A query, a where or a filter document. The model label is added to the query labels.
+        * @param {object} [options={}] - The find options, like populate. See OGMNeoNode.find.
+        * @returns {Promise.<array|Error>} Model instances if fulfilled, or some neo4j error if rejected.
+    */
+    static find(query = null, options = {}) {
+        try {
+            return OGMNeoNode.find(this._query(query), options).then(nodes => nodes.map(node => this._instance(node)));
+        } catch (error) {
+            return Promise.reject(error);
+        }
+    }
+
+    /**
+        * Operation that finds the model nodes that match the query.
+        *
+        * @static
+        * @param {OGMNeoQuery|OGMNeoWhere|object} [query=null] - A query, a where or a filter document. The model label is added to the query labels.
+        * @param {object} [options={}] - The find options, like populate. See OGMNeoNode.find.
+        * @returns {OGMNeoOperation} Operation that returns model instances.
+        * @throws {Error} Will throw an error if the query is an invalid filter document or some populate path was not declared.
+    */
+    static findOperation(query = null, options = {}) {
+        let operation = OGMNeoNode.findOperation(this._query(query), options);
+        return this._instancesOperation(operation);
+    }
+
+    /**
+        * Find a page of model nodes that match the query.
+        *
+        * @static
+        * @param {OGMNeoQuery|OGMNeoWhere|object} [query=null] - A query, a where or a filter document. The model label is added to the query labels.
+        * @param {object} [options={}] - The pagination and find options. See OGMNeoNode.paginate.
+        * @returns {Promise.<object|Error>} {items, total, page, pages} or {items, next} on keyset mode with model instances as items if fulfilled, or some neo4j error if rejected.
+    */
+    static paginate(query = null, options = {}) {
+        try {
+            return OGMNeoNode.paginate(this._query(query), options).then((page) => {
+                page.items = page.items.map(node => this._instance(node));
+                return page;
+            });
+        } catch (error) {
+            return Promise.reject(error);
+        }
+    }
+
+    /**
+        * Find the first model node that matches the query.
+        *
+        * @static
+        * @param {OGMNeoQuery|OGMNeoWhere|object} [query=null] - A query, a where or a filter document. The model label is added to the query labels.
+        * @param {object} [options={}] - The find options, like populate. See OGMNeoNode.find.
+        * @returns {Promise.<OGMNeoModel|Error>} Model instance or null if not found if fulfilled, or some neo4j error if rejected.
+    */
+    static findOne(query = null, options = {}) {
+        try {
+            return OGMNeoNode.findOne(this._query(query), options).then(node => this._instance(node));
+        } catch (error) {
+            return Promise.reject(error);
+        }
+    }
+
+    /**
+        * Operation that finds the first model node that matches the query.
+        *
+        * @static
+        * @param {OGMNeoQuery|OGMNeoWhere|object} [query=null] - A query, a where or a filter document. The model label is added to the query labels.
+        * @param {object} [options={}] - The find options, like populate. See OGMNeoNode.find.
+        * @returns {OGMNeoOperation} Operation that returns a model instance or null.
+        * @throws {Error} Will throw an error if the query is an invalid filter document or some populate path was not declared.
+    */
+    static findOneOperation(query = null, options = {}) {
+        let operation = OGMNeoNode.findOneOperation(this._query(query), options);
+        return this._instanceOperation(operation);
+    }
+
+    /**
+        * Updates a model node. The present properties are validated and coerced with the model schema before any cypher is sent.
+        *
+        * @static
+        * @param {object} properties - The literal object or model instance with the properties to update and the required id.
+        * @returns {Promise.<OGMNeoModel|Error>} Updated model instance, or null if no node with the id and the model label was found, if fulfilled, or error if the id is invalid, OGMNeoValidationError or some neo4j error if rejected.
+    */
+    static update(properties) {
+        try {
+            let value = OGMNeoSchema.validate(this.schema, this._properties(properties), true);
+            return OGMNeoNode.update(value, this.label).then(node => this._instance(node));
+        } catch (error) {
+            return Promise.reject(error);
+        }
+    }
+
+    /**
+        * Operation that updates a model node.
+        *
+        * @static
+        * @param {object} properties - The literal object or model instance with the properties to update and the required id.
+        * @returns {OGMNeoOperation} Operation that updates the node with the model label and returns a model instance or null.
+        * @throws {Error} Will throw an error if the id was not integer or not exists.
+        * @throws {OGMNeoValidationError} Will throw an error listing every property that fails the schema validation.
+    */
+    static updateOperation(properties) {
+        let value = OGMNeoSchema.validate(this.schema, this._properties(properties), true);
+        let operation = OGMNeoNode.updateOperation(value, this.label);
+        return this._instanceOperation(operation);
+    }
+
+    /**
+        * Deletes a model node.
+        *
+        * @static
+        * @param {object} node - The literal object or model instance with the required id.
+        * @returns {Promise.<boolean|Error>} True if found and deleted, false if no node with the id and the model label was found if fulfilled, or error if the id is invalid or some neo4j error if rejected.
+    */
+    static delete(node) {
+        return OGMNeoNode.delete(node, this.label);
+    }
+
+    /**
+        * Operation that deletes a model node.
+        *
+        * @static
+        * @param {object} node - The literal object or model instance with the required id.
+        * @returns {OGMNeoOperation} Operation that deletes the node with the model label.
+        * @throws {Error} Will throw an error if the id was not integer or not exists.
+    */
+    static deleteOperation(node) {
+        return OGMNeoNode.deleteOperation(node, this.label);
+    }
+
+    /**
+        * Creates the node of this instance if it has no id or updates it otherwise. The instance properties are refreshed with the saved ones.
+        * Populated relationships are kept on the instance but are not saved.
+        *
+        * @returns {Promise.<OGMNeoModel|Error>} This instance if fulfilled, or some neo4j error if rejected.
+    */
+    save() {
+        let promise = (this.id != null) ? this.constructor.update(this) : this.constructor.create(this);
+        return promise.then((saved) => {
+            return _.assign(this, saved);
+        });
+    }
+
+    /**
+        * Deletes the node of this instance.
+        *
+        * @returns {Promise.<boolean|Error>} True if found and deleted, false if not found if fulfilled, or error if the instance has no id or some neo4j error if rejected.
+    */
+    remove() {
+        return this.constructor.delete(this);
+    }
+
+    /**
+        * The literal object with the instance properties.
+        *
+        * @returns {object} The instance properties.
+    */
+    toObject() {
+        return _.assign({}, this);
+    }
+
+    // Populated relationships are read with find, so they are never written as properties.
+    static _properties(properties) {
+        let value = (properties instanceof OGMNeoModel) ? properties.toObject() : _.assign({}, properties);
+        return _.omit(value, _.keys(this.relationships));
+    }
+
+    static _query(query) {
+        if (query == null) {
+            return OGMNeoQuery.create(this.label);
+        } else if (query instanceof OGMNeoQuery) {
+            // The caller's query is kept as it is, the model label is added to a copy as its first label
+            let copy = _.clone(query);
+            copy.label = [this.label].concat(_.without(query.labels, this.label));
+            return copy;
+        } else if (query instanceof OGMNeoWhere) {
+            return OGMNeoQuery.create(this.label).where(query);
+        }
+        return OGMNeoQuery.create(this.label).filter(query);
+    }
+
+    static _targetLabel(target) {
+        return (_.isFunction(target) && target.prototype instanceof OGMNeoModel) ? target.label : target;
+    }
+
+    static _instance(node) {
+        if (node == null) {
+            return null;
+        }
+        let instance = new this(node);
+        _.forIn(this.schema, (definition, property) => {
+            // Dates are stored as epoch milliseconds
+            if (definition.type === 'date' && _.isNumber(instance[property])) {
+                instance[property] = new Date(instance[property]);
+            }
+        });
+        return instance;
+    }
+
+    static _instanceOperation(operation) {
+        let then = operation.then;
+        operation.then = (result) => this._instance(then(result));
+        return operation;
+    }
+
+    static _instancesOperation(operation) {
+        let then = operation.then;
+        operation.then = (result) => then(result).map(node => this._instance(node));
+        return operation;
+    }
+}
+
+module.exports = OGMNeoModel;
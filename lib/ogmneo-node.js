@@ -6,22 +6,32 @@ const OGMNeoQuery = require('./ogmneo-query');
 const OGMNeoObjectParse = require('./ogmneo-parse');
 const { OGMNeoOperation, OGMNeoOperationBuilder } = require('./ogmneo-operation');
 const OGMNeoOperationExecuter = require('./ogmneo-operation-executer');
+const OGMNeoHooks = require('./ogmneo-hooks');
+const OGMNeoRelationships = require('./ogmneo-relationships');
+const OGMNeoPagination = require('./ogmneo-pagination');
+const OGMNeoMapProperties = require('./ogmneo-map-properties');
 
 /**
     * @class OGMNeoNode
  */
 class OGMNeoNode {
     /**
-        * Creates a node on neo4j.
+        * Creates a node on neo4j. Runs the beforeCreate and afterCreate hooks of the labels.
         *
         * @static
         * @param {object} node - The literal object with node propeperties.
-        * @param {string} [label=null] - The label of the node. Default null is a node without label. 
-        * @returns {Promise<object|Error>} Created node literal object if fulfilled, or some neo4j error if rejected.
+        * @param {string|array} [label=null] - The label or the labels of the node. Default null is a node without label.
+        * @returns {Promise<object|Error>} Created node literal object if fulfilled, or some neo4j error or hook error if rejected.
     */
     static create(node, label = null) {
-        let operation = this.createOperation(node, label);
-        return OGMNeoOperationExecuter.execute(operation);
+        let context = { labels: (label != null) ? _.castArray(label) : [] };
+        return OGMNeoHooks.runNodeHooks(label, 'beforeCreate', _.assign({}, node), context)
+            .then((value) => {
+                let operation = this.createOperation(value, label);
+                return OGMNeoOperationExecuter.execute(operation);
+            }).then((created) => {
+                return OGMNeoHooks.runNodeHooks(label, 'afterCreate', created, context);
+            });
     }
 
     /**
@@ -29,15 +39,16 @@ class OGMNeoNode {
         *
         * @static
         * @param {object} node - The literal object with node propeperties.
-        * @param {string} [label=null] - The label of the node. Default null is a node without label. 
+        * @param {string|array} [label=null] - The label or the labels of the node. Default null is a node without label.
         * @returns {OGMNeoOperation} Create node operation that can be executed later.
+        * @throws {Error} Will throw an error if a declared map property can't be stored. See OGMNeoMapProperties.
     */
 
     static createOperation(node, label = null) {
-        let value = _.omitBy(node, _.isUndefined);
+        let value = OGMNeoMapProperties.serialize(label, _.omitBy(node, _.isUndefined));
         OGMNeoObjectParse.parseProperties(value);
         let objectString = OGMNeoObjectParse.objectString(value);
-        let labelCypher = (!_.isEmpty(label) && _.isString(label)) ? `:${label}` : '';
+        let labelCypher = OGMNeoObjectParse.labelsCypher(label);
         let cypher = `CREATE (n${labelCypher} ${objectString}) RETURN n`;
         return OGMNeoOperationBuilder.create()
             .cypher(cypher)
@@ -54,7 +65,7 @@ class OGMNeoNode {
       *
       * @static
         * @param {object} node - The literal object with node propeperties.
-        * @param {string} [label=null] - The label of the node. Default null is a node without label. 
+        * @param {string|array} [label=null] - The label or the labels of the node. Default null is a node without label.
         * @returns {Promise<object|Error>} Created node literal object if fulfilled, or some neo4j error if rejected.
     */
     static merge(node, label = null) {
@@ -67,15 +78,16 @@ class OGMNeoNode {
     *
     * @static
     * @param {object} node - The literal object with node propeperties.
-    * @param {string} [label=null] - The label of the node. Default null is a node without label. 
+    * @param {string|array} [label=null] - The label or the labels of the node. Default null is a node without label.
     * @returns {OGMNeoOperation} Create node operation that can be executed later.
+    * @throws {Error} Will throw an error if a declared map property can't be stored. See OGMNeoMapProperties.
     */
 
     static mergeOperation(node, label = null) {
-        let value = _.omitBy(node, _.isUndefined);
+        let value = OGMNeoMapProperties.serialize(label, _.omitBy(node, _.isUndefined));
         OGMNeoObjectParse.parseProperties(value);
         let objectString = OGMNeoObjectParse.objectString(value);
-        let labelCypher = (!_.isEmpty(label) && _.isString(label)) ? `:${label}` : '';
+        let labelCypher = OGMNeoObjectParse.labelsCypher(label);
         let cypher = `MERGE (n${labelCypher} ${objectString}) RETURN n`;
         return OGMNeoOperationBuilder.create()
             .cypher(cypher)
@@ -89,16 +101,32 @@ class OGMNeoNode {
 
 
     /**
-        * Updates a node on neo4j.
+        * Updates a node on neo4j. Runs the beforeUpdate and afterUpdate hooks of the node labels.
+        * The keys of flattened map properties that are not in the new maps are removed.
         *
         * @static
         * @param {object} node - The literal object with node propeperties and required node.id.
-        * @returns {Promise.<object|Error>} Updated node literal object if fulfilled, or error if node.id is invalid or some neo4j error if rejected.
+        * @param {string|array} [label=null] - The label or labels the node must have, that are also the ones whose map properties are serialized. Default null matches any node and uses the node __labels.
+        * @returns {Promise.<object|Error>} Updated node literal object, or null if no node with the id and labels was found, if fulfilled, or error if node.id is invalid or some neo4j error or hook error if rejected.
     */
-    static update(node) {
+    static update(node, label = null) {
         try {
-            let operation = this.updateOperation(node);
-            return OGMNeoOperationExecuter.execute(operation);
+            this.updateOperation(node, label);
+            if (!OGMNeoHooks.hasNodeHooks(['beforeUpdate', 'afterUpdate'])) {
+                return this._executeUpdate(node, label);
+            }
+            return this._nodeLabels(node.id).then((labels) => {
+                if (!this._hasLabels(labels, label)) {
+                    return null;
+                }
+                let context = { labels: labels, id: node.id };
+                return OGMNeoHooks.runNodeHooks(labels, 'beforeUpdate', _.assign({}, node), context)
+                    .then((value) => {
+                        return this._executeUpdate(_.assign(value, { id: node.id }), label || labels);
+                    }).then((updated) => {
+                        return OGMNeoHooks.runNodeHooks(labels, 'afterUpdate', updated, context);
+                    });
+            });
         } catch (error) {
             return Promise.reject(error);
         }
@@ -109,15 +137,23 @@ class OGMNeoNode {
         *
         * @static
         * @param {object} node - The literal object with node propeperties and required node.id.
-        * @returns {OGMNeoOperation} Update node operation that can be executed later.
+        * @param {string|array} [label=null] - The label or labels the node must have, that are also the ones whose map properties are serialized. Default null matches any node and uses the node __labels.
+        * @returns {OGMNeoOperation} Update node operation that can be executed later. It can't read the stored keys of flattened map properties, so it only sets the new keys, see update.
         * @throws {Error} Will throw an error if the node.id was not integer or not exists.
+        * @throws {Error} Will throw an error if a declared map property can't be stored. See OGMNeoMapProperties.
     */
-    static updateOperation(node) {
-        let value = _.omitBy(node, _.isUndefined);
+    static updateOperation(node, label = null) {
+        return this._updateOperation(node, label);
+    }
+
+    static _updateOperation(node, label, storedKeys = {}) {
+        let labels = (label != null) ? label : _.get(node, '__labels');
+        let value = OGMNeoMapProperties.serialize(labels, _.omitBy(node, _.isUndefined), storedKeys);
         OGMNeoObjectParse.parseProperties(value);
-        if (value && value.id != undefined && _.isInteger(value.id)) {
+        if (value && value.id != undefined && OGMNeoObjectParse.isId(value.id)) {
             let objectString = OGMNeoObjectParse.objectString(value);
-            let cypher = `MATCH (n) WHERE ID(n)=${node.id} SET n+=${objectString} RETURN n`;
+            let labelCypher = (label != null) ? OGMNeoObjectParse.labelsCypher(label) : '';
+            let cypher = `MATCH (n${labelCypher}) WHERE ID(n)=${node.id} SET n+=${objectString} RETURN n`;
             return OGMNeoOperationBuilder.create()
                 .cypher(cypher)
                 .object(value)
@@ -131,7 +167,7 @@ class OGMNeoNode {
     }
 
     /**
-        * Update new properties on every node that matches the query.
+        * Update new properties on every node that matches the query. The keys of flattened map properties that are not in the new maps are removed.
         *
         * @static
         * @param {OGMNeoQuery} query - The query to filter the nodes.
@@ -141,7 +177,15 @@ class OGMNeoNode {
     static updateMany(query, newProperties) {
         try {
             let operation = this.updateManyOperation(query, newProperties);
-            return OGMNeoOperationExecuter.execute(operation);
+            let flattened = OGMNeoMapProperties.flattenedProperties(query.labels, newProperties);
+            if (_.isEmpty(flattened)) {
+                return OGMNeoOperationExecuter.execute(operation);
+            }
+            return OGMNeoOperationExecuter.write((transaction) => {
+                return this._storedMapKeys(query.matchCypher(), query.params, flattened, transaction).then((storedKeys) => {
+                    return OGMNeoOperationExecuter.execute(this._updateManyOperation(query, newProperties, storedKeys), transaction);
+                });
+            });
         } catch (error) {
             return Promise.reject(error);
         }
@@ -153,22 +197,27 @@ class OGMNeoNode {
           * @static
           * @param {OGMNeoQuery} query - The query to filter the nodes.
           * @param {object} newProperties - NEW properties.
-          * @returns {OGMNeoOperation} Operation that updates new properties on every node that matches the query.
+          * @returns {OGMNeoOperation} Operation that updates new properties on every node that matches the query. It only sets the new keys of flattened map properties, see updateMany.
           * @throws {Error} Will throw an error if the query is not an instance of ogmneo.Query.
           * @throws {Error} Will throw an error if newProperties is not an object.
           * @throws {Error} Will throw an error if newProperties don't have at least one property with NO undefined values to update.
       */
     static updateManyOperation(query, newProperties) {
+        return this._updateManyOperation(query, newProperties);
+    }
+
+    static _updateManyOperation(query, newProperties, storedKeys = {}) {
         if (_.isObject(newProperties)) {
             let value = _.omitBy(newProperties, _.isUndefined);
             if (!_.isEmpty(value)) {
-                OGMNeoObjectParse.parseProperties(value);
                 if (query instanceof OGMNeoQuery) {
+                    value = OGMNeoMapProperties.serialize(query.labels, value, storedKeys);
+                    OGMNeoObjectParse.parseProperties(value);
                     let objectString = OGMNeoObjectParse.objectString(value);
                     let cypher = `${query.matchCypher()} SET n+=${objectString} RETURN n`;
                     return OGMNeoOperationBuilder.create()
                         .cypher(cypher)
-                        .object(value)
+                        .object(_.assign({}, value, query.params))
                         .type(OGMNeoOperation.WRITE).then((result) => {
                             return result.records.map(record => OGMNeoObjectParse.parseRecordNode(record, 'n'));
                         }).build();
@@ -184,16 +233,31 @@ class OGMNeoNode {
     }
 
     /**
-        * Deletes a node on neo4j.
+        * Deletes a node on neo4j. Runs the beforeDelete and afterDelete hooks of the node labels.
         *
         * @static
         * @param {object} node - The literal object with node propeperties and required node.id.
-        * @returns {Promise.<boolean|Error>} True if fulfilled and found and delete node, false if not found object to delete, or error if node.id is invalid or some neo4j error if rejected.
+        * @param {string|array} [label=null] - The label or labels the node must have. Default null matches any node.
+        * @returns {Promise.<boolean|Error>} True if fulfilled and found and delete node, false if not found object to delete, or error if node.id is invalid or some neo4j error or hook error if rejected.
     */
-    static delete(node) {
+    static delete(node, label = null) {
         try {
-            let operation = this.deleteOperation(node);
-            return OGMNeoOperationExecuter.execute(operation);
+            let operation = this.deleteOperation(node, label);
+            if (!OGMNeoHooks.hasNodeHooks(['beforeDelete', 'afterDelete'])) {
+                return OGMNeoOperationExecuter.execute(operation);
+            }
+            return this._nodeLabels(node.id).then((labels) => {
+                if (!this._hasLabels(labels, label)) {
+                    return false;
+                }
+                let context = { labels: labels, id: node.id };
+                return OGMNeoHooks.runNodeHooks(labels, 'beforeDelete', node, context)
+                    .then(() => {
+                        return OGMNeoOperationExecuter.execute(operation);
+                    }).then((deleted) => {
+                        return OGMNeoHooks.runNodeHooks(labels, 'afterDelete', deleted, context);
+                    });
+            });
         } catch (error) {
             return Promise.reject(error);
         }
@@ -204,12 +268,14 @@ class OGMNeoNode {
         *
         * @static
         * @param {object} node - The literal object with node propeperties and required node.id.
+        * @param {string|array} [label=null] - The label or labels the node must have. Default null matches any node.
         * @returns {OGMNeoOperation} Operation that deletes a node.
         * @throws {Error} Will throw an error if the node.id was not integer or not exists.
     */
-    static deleteOperation(node) {
-        if (node && node.id != undefined && _.isInteger(node.id)) {
-            let cypher = `MATCH (n) WHERE ID(n)=${node.id} DELETE n RETURN n`;
+    static deleteOperation(node, label = null) {
+        if (node && node.id != undefined && OGMNeoObjectParse.isId(node.id)) {
+            let labelCypher = (label != null) ? OGMNeoObjectParse.labelsCypher(label) : '';
+            let cypher = `MATCH (n${labelCypher}) WHERE ID(n)=${node.id} DELETE n RETURN n`;
             return OGMNeoOperationBuilder.create()
                 .cypher(cypher)
                 .type(OGMNeoOperation.WRITE).then((result) => {
@@ -245,7 +311,7 @@ class OGMNeoNode {
         * @throws {Error} Will throw an error if the node.id was not integer or not exists.
     */
     static deleteCascadeOperation(node) {
-        if (node && node.id != undefined && _.isInteger(node.id)) {
+        if (node && node.id != undefined && OGMNeoObjectParse.isId(node.id)) {
             let cypher = `MATCH (n) WHERE ID(n)=${node.id} DETACH DELETE n RETURN n`;
             return OGMNeoOperationBuilder.create()
                 .cypher(cypher)
@@ -286,6 +352,7 @@ class OGMNeoNode {
             let cypher = `${query.matchCypher()} DELETE n RETURN n`;
             return OGMNeoOperationBuilder.create()
                 .cypher(cypher)
+                .object(query.params)
                 .type(OGMNeoOperation.WRITE)
                 .then((result) => {
                     return result.records.length;
@@ -299,7 +366,7 @@ class OGMNeoNode {
         * Retrive node with id.
         *
         * @static
-        * @param {integer} id - The id of node that's wanted.
+        * @param {integer|string|bigint} id - The id of node that's wanted.
         * @returns {Promise.<object|Error>} Object if found fulfilled or null if not found fulfilled, or error if the id is invalid or some neo4j error if rejected.
     */
     static nodeWithId(id) {
@@ -315,12 +382,12 @@ class OGMNeoNode {
         * Creates a operation that retrives a node with id.
         *
         * @static
-        * @param {integer} id - The id of node that's wanted.
+        * @param {integer|string|bigint} id - The id of node that's wanted.
         * @returns {OGMNeoOperation} Operation retrives a node.
         * @throws {Error} Will throw an error if id was not an integer value.
     */
     static nodeWithIdOperation(id) {
-        if (_.isInteger(id)) {
+        if (OGMNeoObjectParse.isId(id)) {
             let cypher = `MATCH (n) WHERE ID(n)=${id} RETURN n`;
             return OGMNeoOperationBuilder.create()
                 .cypher(cypher)
@@ -362,7 +429,7 @@ class OGMNeoNode {
     */
     static manyWithIdsOperation(ids) {
         if (_.isArray(ids)) {
-            let validIds = ids.filter(id => _.isInteger(id));
+            let validIds = ids.filter(id => OGMNeoObjectParse.isId(id));
             if (_.isEmpty(validIds)) {
                 throw new Error('You must provide at least one valid(integer) id to query');
             } else {
@@ -422,10 +489,11 @@ class OGMNeoNode {
             let cypher = query.countCypher();
             return OGMNeoOperationBuilder.create()
                 .cypher(cypher)
+                .object(query.params)
                 .type(OGMNeoOperation.READ)
                 .then((result) => {
                     let record = _.first(result.records);
-                    return (record != null) ? record.get('count').low : 0;
+                    return (record != null) ? OGMNeoObjectParse.parseCount(record.get('count')) : 0;
                 }).build();
         } else {
             throw new Error('A OGMNeoQuery object must to be provided');
@@ -433,38 +501,169 @@ class OGMNeoNode {
     }
 
     /**
-        * Find nodes filtered by query parameter.
+        * Aggregates the nodes that match a query object.
         *
         * @static
-        * @param {OGMNeoQuery} query - The query to filter nodes that have to be returned.
-        * @returns {Promise.<array|Error>} Nodes if fulfilled, some neo4j error if rejected.
+        * @param {OGMNeoQuery} query - The query to filter nodes that have to be aggregated.
+        * @param {object} aggregations - The aggregations like { groupBy: ['country'], count: true, sum: 'amount', avg: 'age' }. See OGMNeoQuery.aggregateCypher.
+        * @returns {Promise.<array|Error>} Rows like { country: 'BR', count: 2, sum_amount: 30, avg_age: 25 } if fulfilled, or some neo4j error if rejected.
+    */
+    static aggregate(query, aggregations) {
+        try {
+            let operation = this.aggregateOperation(query, aggregations);
+            return OGMNeoOperationExecuter.execute(operation);
+        } catch (error) {
+            return Promise.reject(error);
+        }
+    }
+
+    /**
+        * Creates an operation that aggregates the nodes that match a query object.
+        *
+        * @static
+        * @param {OGMNeoQuery} query - The query to filter nodes that have to be aggregated.
+        * @param {object} aggregations - The aggregations. See OGMNeoQuery.aggregateCypher.
+        * @returns {OGMNeoOperation} Operation that returns the aggregation rows.
+        * @throws {Error} Will throw an error if the query was not a instance of ogmneo.Query or the aggregations are invalid.
+    */
+    static aggregateOperation(query, aggregations) {
+        if (query && query instanceof OGMNeoQuery) {
+            let cypher = query.aggregateCypher(aggregations);
+            return OGMNeoOperationBuilder.create()
+                .cypher(cypher)
+                .object(query.params)
+                .type(OGMNeoOperation.READ)
+                .then((result) => {
+                    return result.records.map(record => OGMNeoObjectParse.recordToRow(record));
+                }).build();
+        } else {
+            throw new Error('A OGMNeoQuery object must to be provided');
+        }
+    }
+
+    /**
+        * Counts the nodes that match a query object by each distinct value of a property.
+        *
+        * @static
+        * @param {OGMNeoQuery} query - The query to filter nodes.
+        * @param {string} property - The property.
+        * @returns {Promise.<object|Error>} Map of value to count, like { 'Recife': 3, 'Natal': 1 }, if fulfilled, or some neo4j error if rejected.
     */
-    static find(query) {
+    static distinct(query, property) {
         try {
-            let operation = this.findOperation(query);
+            let operation = this.distinctOperation(query, property);
             return OGMNeoOperationExecuter.execute(operation);
         } catch (error) {
             return Promise.reject(error);
         }
     }
 
+    /**
+        * Creates an operation that counts the nodes that match a query object by each distinct value of a property.
+        *
+        * @static
+        * @param {OGMNeoQuery} query - The query to filter nodes.
+        * @param {string} property - The property.
+        * @returns {OGMNeoOperation} Operation that returns the map of value to count.
+        * @throws {Error} Will throw an error if the query was not a instance of ogmneo.Query or the property is invalid.
+    */
+    static distinctOperation(query, property) {
+        if (!_.isString(property)) {
+            throw new Error('The distinct property must be a string');
+        }
+        let operation = this.facetsOperation(query, [property]);
+        let then = operation.then;
+        operation.then = (result) => then(result)[property];
+        return operation;
+    }
+
+    /**
+        * Counts the nodes that match a query object by each distinct value of each property.
+        *
+        * @static
+        * @param {OGMNeoQuery} query - The query to filter nodes.
+        * @param {array} properties - The properties.
+        * @returns {Promise.<object|Error>} Map of property to map of value to count, like { city: { 'Recife': 3 }, status: { 'active': 2, 'inactive': 1 } }, if fulfilled, or some neo4j error if rejected.
+    */
+    static facets(query, properties) {
+        try {
+            let operation = this.facetsOperation(query, properties);
+            return OGMNeoOperationExecuter.execute(operation);
+        } catch (error) {
+            return Promise.reject(error);
+        }
+    }
+
+    /**
+        * Creates an operation that counts the nodes that match a query object by each distinct value of each property.
+        *
+        * @static
+        * @param {OGMNeoQuery} query - The query to filter nodes.
+        * @param {array} properties - The properties.
+        * @returns {OGMNeoOperation} Operation that returns the map of property to map of value to count.
+        * @throws {Error} Will throw an error if the query was not a instance of ogmneo.Query or some property is invalid.
+    */
+    static facetsOperation(query, properties) {
+        if (query && query instanceof OGMNeoQuery) {
+            let cypher = query.facetsCypher(properties);
+            let facets = _.castArray(properties);
+            return OGMNeoOperationBuilder.create()
+                .cypher(cypher)
+                .object(query.params)
+                .type(OGMNeoOperation.READ)
+                .then((result) => {
+                    let initial = _.zipObject(facets, facets.map(() => ({})));
+                    return result.records.reduce((counts, record) => {
+                        let row = OGMNeoObjectParse.recordToRow(record);
+                        counts[row.facet][row.value] = row.count;
+                        return counts;
+                    }, initial);
+                }).build();
+        } else {
+            throw new Error('A OGMNeoQuery object must to be provided');
+        }
+    }
+
+    /**
+        * Find nodes filtered by query parameter. Runs the afterFind hooks of the query labels on each node.
+        *
+        * @static
+        * @param {OGMNeoQuery} query - The query to filter nodes that have to be returned.
+        * @param {object} [options={}] - The find options. populate(string or array) has the names of the relationships declared for the query label with OGMNeoRelationships that are collected on each node, e.g. ['posts', 'posts.comments'].
+        * @returns {Promise.<array|Error>} Nodes if fulfilled, some neo4j error or hook error if rejected.
+    */
+    static find(query, options = {}) {
+        try {
+            let operation = this.findOperation(query, options);
+            return OGMNeoOperationExecuter.execute(operation).then((nodes) => {
+                return Promise.all(nodes.map(node => OGMNeoHooks.runNodeHooks(query.labels, 'afterFind', node, { labels: query.labels })));
+            });
+        } catch (error) {
+            return Promise.reject(error);
+        }
+    }
+
 
     /**
         * Operation for find nodes filtered by the query parameter.
         *
         * @static
         * @param {OGMNeoQuery} query - The query to filter nodes that have to be returned.
+        * @param {object} [options={}] - The find options. See find.
         * @returns {OGMNeoOperation} Operation that returns the nodes with query.
         * @throws {Error} Will throw an error if the query was not a instance of ogmneo.Query.
+        * @throws {Error} Will throw an error if some populate path was not declared for the query label.
     */
-    static findOperation(query) {
+    static findOperation(query, options = {}) {
         if (query && query instanceof OGMNeoQuery) {
-            let cypher = query.queryCypher();
+            let cypher = this._findCypher(query, options);
+            let parse = this._recordParser(query, options);
             return OGMNeoOperationBuilder.create()
                 .cypher(cypher)
+                .object(query.params)
                 .type(OGMNeoOperation.READ)
                 .then((result) => {
-                    return result.records.map((record) => OGMNeoObjectParse.parseRecordNode(record, 'n'));
+                    return result.records.map(parse);
                 }).build();
         } else {
             throw new Error('A OGMNeoQuery object must to be provided');
@@ -472,16 +671,42 @@ class OGMNeoNode {
     }
 
     /**
-        * Find one node filtered by query parameter. Will return the first node that it finds.
+        * Find a page of nodes filtered by query parameter. The query skip, limit and order are replaced by the pagination ones. Pages of a query without order are ordered by the node id, so they don't repeat or miss nodes.
+        * With the orderBy option the nodes are paginated with a keyset cursor, that does not skip the previous nodes and is faster for deep pages.
         *
         * @static
         * @param {OGMNeoQuery} query - The query to filter nodes that have to be returned.
-        * @returns {Promise.<object|Error>} Node found if fulfilled, some neo4j error if rejected.
+        * @param {object} [options={}] - The pagination options: page(default 1) and perPage(default 20), or orderBy(property), order('ASC' or 'DESC'), after(the next cursor of the previous page) and perPage on keyset mode. The find options, like populate, are also accepted.
+        * @returns {Promise.<object|Error>} {items, total, page, pages} or {items, next} on keyset mode, where next is the cursor of the next page or null, if fulfilled, or some neo4j error if rejected.
     */
-    static findOne(query) {
+    static paginate(query, options = {}) {
         try {
-            let operation = this.findOneOperation(query);
-            return OGMNeoOperationExecuter.execute(operation);
+            if (!(query instanceof OGMNeoQuery)) {
+                throw new Error('A OGMNeoQuery object must to be provided');
+            }
+            if (options.orderBy == null && query.orderByClause() === '') {
+                query.orderBy([['ID(n)', 'ASC']]);
+            }
+            return OGMNeoPagination.paginate(query, options, value => this.find(value, options), value => this.count(value));
+        } catch (error) {
+            return Promise.reject(error);
+        }
+    }
+
+    /**
+        * Find one node filtered by query parameter. Will return the first node that it finds. Runs the afterFind hooks of the query labels on the node.
+        *
+        * @static
+        * @param {OGMNeoQuery} query - The query to filter nodes that have to be returned.
+        * @param {object} [options={}] - The find options. See find.
+        * @returns {Promise.<object|Error>} Node found if fulfilled, some neo4j error or hook error if rejected.
+    */
+    static findOne(query, options = {}) {
+        try {
+            let operation = this.findOneOperation(query, options);
+            return OGMNeoOperationExecuter.execute(operation).then((node) => {
+                return (node != null) ? OGMNeoHooks.runNodeHooks(query.labels, 'afterFind', node, { labels: query.labels }) : null;
+            });
         } catch (error) {
             return Promise.reject(error);
         }
@@ -492,29 +717,90 @@ class OGMNeoNode {
         *
         * @static
         * @param {OGMNeoQuery} query  The query to filter nodes that have to be returned.
+        * @param {object} [options={}] - The find options. See find.
         * @returns {OGMNeoOperation} Operation that returns the node with query.
         * @throws {Error} Will throw an error if the query was not a instance of ogmneo.Query.
+        * @throws {Error} Will throw an error if some populate path was not declared for the query label.
     */
-    static findOneOperation(query) {
+    static findOneOperation(query, options = {}) {
         if (query && query instanceof OGMNeoQuery) {
             query.limit(1);
+            let cypher = this._findCypher(query, options);
+            let parse = this._recordParser(query, options);
             return OGMNeoOperationBuilder.create()
-                .cypher(query.queryCypher())
+                .cypher(cypher)
+                .object(query.params)
                 .type(OGMNeoOperation.READ)
                 .then((result) => {
                     let record = _.first(result.records);
-                    return (record != null) ? OGMNeoObjectParse.parseRecordNode(record, 'n') : null;
+                    return (record != null) ? parse(record) : null;
                 }).build();
         } else {
             throw new Error('A OGMNeoQuery object must to be provided');
         }
     }
+
+    /**
+        * Searches nodes on a full-text index, see OGMNeoFullTextIndex. The nodes are returned with their search score as __score, ordered by the greatest scores.
+        * Runs the afterFind hooks of the query labels on the nodes.
+        *
+        * @static
+        * @param {string} index - The full-text index name.
+        * @param {string} text - The search text, on lucene query syntax. Example: 'jon*'.
+        * @param {object} [options={}] - The search options: limit, skip and query, an OGMNeoQuery whose labels, where, order, skip and limit also filter the found nodes. The limit and skip options replace the query ones, the query is not changed.
+        * @returns {Promise.<array|Error>} Found nodes if fulfilled, some neo4j error or hook error if rejected.
+    */
+    static search(index, text, options = {}) {
+        try {
+            let operation = this.searchOperation(index, text, options);
+            let labels = (options.query != null) ? options.query.labels : [];
+            return OGMNeoOperationExecuter.execute(operation).then((nodes) => {
+                return Promise.all(nodes.map(node => OGMNeoHooks.runNodeHooks(labels, 'afterFind', node, { labels: labels })));
+            });
+        } catch (error) {
+            return Promise.reject(error);
+        }
+    }
+
+    /**
+        * Operation that searches nodes on a full-text index.
+        *
+        * @static
+        * @param {string} index - The full-text index name.
+        * @param {string} text - The search text, on lucene query syntax.
+        * @param {object} [options={}] - The search options. See search.
+        * @returns {OGMNeoOperation} Operation that returns the found nodes with their __score.
+        * @throws {Error} Will throw an error if the index or the text is not a non-empty string.
+        * @throws {Error} Will throw an error if the query option was not a instance of ogmneo.Query.
+    */
+    static searchOperation(index, text, options = {}) {
+        if (!_.isString(index) || _.isEmpty(index)) {
+            throw new Error('The full-text index name must be a non empty string');
+        } else if (!_.isString(text) || _.isEmpty(_.trim(text))) {
+            throw new Error('The search text must be a non empty string');
+        } else if (options.query != null && !(options.query instanceof OGMNeoQuery)) {
+            throw new Error('A OGMNeoQuery object must to be provided');
+        }
+        let query = options.query || OGMNeoQuery.create();
+        return OGMNeoOperationBuilder.create()
+            .cypher(query.searchCypher(options.limit, options.skip))
+            .object(_.assign({ search_index: index, search_text: text }, query.params))
+            .type(OGMNeoOperation.READ)
+            .then((result) => {
+                return result.records.map((record) => {
+                    let node = OGMNeoObjectParse.parseRecordNode(record, 'n');
+                    node.__score = record.get('score');
+                    return node;
+                });
+            }).build();
+    }
+
     /**
         * Adding label to a node.
         *
         * @static
         * @param {string} label - The label to be added to the node.
-        * @param {integer} nodeId - The id of the node to add the label.
+        * @param {integer|string|bigint} nodeId - The id of the node to add the label.
         * @returns {Promise.<object|Error>} Node(if node exists) or null(if not exists) if fulfilled, some error if rejected.
     */
     static addLabelToNode(label, nodeId) {
@@ -531,13 +817,13 @@ class OGMNeoNode {
         *
         * @static
         * @param {string} label - The label to be added to the node.
-        * @param {integer} nodeId - The id of the node to add the label.
+        * @param {integer|string|bigint} nodeId - The id of the node to add the label.
         * @returns {OGMNeoOperation} Operation that adds a label.
         * @throws {Error} Will throw an error if the nodeId was not an integer value.
         * @throws {Error} Will throw an error if the label was anything diferent than an non-empty string.
     */
     static addLabelToNodeOperation(label, nodeId) {
-        if (_.isInteger(nodeId)) {
+        if (OGMNeoObjectParse.isId(nodeId)) {
             let operation = this.addLabelToNodesOperation(label, [nodeId]);
             operation.then = (result) => {
                 let record = _.first(result.records);
@@ -554,7 +840,7 @@ class OGMNeoNode {
         *
         * @static
         * @param {string} label - The label to be removed from the node.
-        * @param {integer} nodeId - The id of the node to remove the label from.
+        * @param {integer|string|bigint} nodeId - The id of the node to remove the label from.
         * @returns {Promise.<object|Error>} Node(if node exists) or null(if not exists) if fulfilled, some error if rejected.
     */
     static removeLabelFromNode(label, nodeId) {
@@ -571,13 +857,13 @@ class OGMNeoNode {
         *
         * @static
         * @param {string} label - The label to be removed from the node.
-        * @param {integer} nodeId - The id of the node to remove the label from.
+        * @param {integer|string|bigint} nodeId - The id of the node to remove the label from.
         * @returns {OGMNeoOperation} Operation that removes a label.
         * @throws {Error} Will throw an error if the nodeId was not an integer value.
         * @throws {Error} Will throw an error if the label was anything diferent than an non-empty string.
     */
     static removeLabelFromNodeOperation(label, nodeId) {
-        if (_.isInteger(nodeId)) {
+        if (OGMNeoObjectParse.isId(nodeId)) {
             let operation = this.removeLabelFromNodesOperation(label, [nodeId]);
             operation.then = (result) => {
                 let record = _.first(result.records);
@@ -683,9 +969,63 @@ class OGMNeoNode {
         }
     }
 
+    static _findCypher(query, options) {
+        return (_.isEmpty(options.populate)) ? query.queryCypher() : query.populatedQueryCypher(options.populate);
+    }
+
+    static _recordParser(query, options) {
+        if (_.isEmpty(options.populate)) {
+            return (record) => OGMNeoObjectParse.parseRecordNode(record, 'n');
+        }
+        let tree = OGMNeoRelationships.populateTree(query.label, options.populate);
+        return (record) => OGMNeoObjectParse.recordToPopulatedNode(record, tree);
+    }
+
+    // The stored keys of flattened map properties are read in the same write transaction as the update, so the keys that are not in the new maps are removed.
+    static _executeUpdate(node, label) {
+        let labels = (label != null) ? label : _.get(node, '__labels');
+        let flattened = OGMNeoMapProperties.flattenedProperties(labels, node);
+        if (_.isEmpty(flattened)) {
+            return OGMNeoOperationExecuter.execute(this._updateOperation(node, label));
+        }
+        let labelCypher = (label != null) ? OGMNeoObjectParse.labelsCypher(label) : '';
+        return OGMNeoOperationExecuter.write((transaction) => {
+            return this._storedMapKeys(`MATCH (n${labelCypher}) WHERE ID(n)=${node.id}`, {}, flattened, transaction).then((storedKeys) => {
+                return OGMNeoOperationExecuter.execute(this._updateOperation(node, label, storedKeys), transaction);
+            });
+        });
+    }
+
+    static _storedMapKeys(match, params, properties, transaction) {
+        let operation = OGMNeoOperationBuilder.create()
+            .cypher(`${match} ${OGMNeoMapProperties.storedKeysCypher(properties)}`)
+            .object(params)
+            .type(OGMNeoOperation.READ)
+            .then((result) => {
+                return _.fromPairs(properties.map(property => [property, _.union(...result.records.map(record => record.get(property) || []))]));
+            }).build();
+        return OGMNeoOperationExecuter.execute(operation, transaction);
+    }
+
+    static _nodeLabels(nodeId) {
+        let operation = OGMNeoOperationBuilder.create()
+            .cypher(`MATCH (n) WHERE ID(n)=${nodeId} RETURN labels(n) AS labels`)
+            .type(OGMNeoOperation.READ)
+            .then((result) => {
+                let record = _.first(result.records);
+                return (record != null) ? record.get('labels') : [];
+            }).build();
+        return OGMNeoOperationExecuter.execute(operation);
+    }
+
+    // The hooks of a node without the labels the operation requires are not run, as the operation does not match it.
+    static _hasLabels(labels, label) {
+        return label == null || _.isEmpty(_.difference(_.castArray(label), labels));
+    }
+
     static _validateAndBuildParams(nodesIds) {
         if (_.isArray(nodesIds)) {
-            let validIds = nodesIds.filter(id => _.isInteger(id));
+            let validIds = nodesIds.filter(id => OGMNeoObjectParse.isId(id));
             if (_.isEmpty(validIds)) {
                 return null;
             } else {
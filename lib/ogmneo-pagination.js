@@ -0,0 +1,48 @@
+'use strict';
+
+const _ = require('lodash');
+
+const defaultPerPage = 20;
+
+/**
+    * @class OGMNeoPagination
+ */
+class OGMNeoPagination {
+
+    /**
+        * Paginates the results of a query with skip and limit, or with a keyset cursor if options.orderBy is provided.
+        *
+        * @static
+        * @param {OGMNeoQuery|OGMNeoRelationQuery} query - The query of the results. Its skip, limit and order are replaced.
+        * @param {object} options - The pagination options: page, perPage, orderBy, order and after.
+        * @param {function} find - The function(query) that finds the results.
+        * @param {function} count - The function(query) that counts the results.
+        * @returns {Promise.<object|Error>} {items, total, page, pages} or {items, next} on keyset mode if fulfilled, or some error if rejected.
+    */
+    static paginate(query, options, find, count) {
+        let perPage = (options.perPage != null) ? options.perPage : defaultPerPage;
+        if (!_.isInteger(perPage) || perPage < 1) {
+            throw new Error('perPage must be a positive integer');
+        }
+        if (options.orderBy != null) {
+            query.keyset(options.orderBy, options.order, options.after).limit(perPage + 1);
+            // One more item is fetched to know if there is a next page
+            return find(query).then((results) => {
+                let items = _.take(results, perPage);
+                let next = (results.length > perPage) ? query.cursorFor(_.last(items)) : null;
+                return { items: items, next: next };
+            });
+        }
+        let page = (options.page != null) ? options.page : 1;
+        if (!_.isInteger(page) || page < 1) {
+            throw new Error('page must be a positive integer');
+        }
+        query.skip((page - 1) * perPage).limit(perPage);
+        return Promise.all([find(query), count(query)]).then((results) => {
+            let total = results[1];
+            return { items: results[0], total: total, page: page, pages: Math.ceil(total / perPage) };
+        });
+    }
+}
+
+module.exports = OGMNeoPagination;
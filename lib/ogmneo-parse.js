@@ -1,6 +1,13 @@
 'use strict';
 
 const _ = require('lodash');
+const neo4j = require('neo4j-driver').v1;
+const OGMNeo = require('./ogmneo');
+const OGMNeoTypes = require('./ogmneo-types');
+const OGMNeoMapProperties = require('./ogmneo-map-properties');
+
+// Keys added to the parsed nodes that are not node properties.
+const internalKeys = ['__labels', '__score'];
 
 class OGMNeoParse {
 
@@ -8,7 +15,7 @@ class OGMNeoParse {
         if (node && _.isObject(node)) {
             let keys = _.keys(node);
             let createString = keys.reduce((result, current) => {
-                if (current !== 'id' && !_.isUndefined(node[current])) {
+                if (current !== 'id' && !_.includes(internalKeys, current) && !_.isUndefined(node[current])) {
                     return result + `${(result === '') ? '' : ','} ${current} : {${current}}`;
                 }
                 return result;
@@ -18,13 +25,16 @@ class OGMNeoParse {
         return '';
     }
 
+    static labelsCypher(labels) {
+        let validLabels = _.castArray(labels).filter(label => _.isString(label) && !_.isEmpty(label));
+        return validLabels.map(label => `:${label}`).join('');
+    }
+
     static parseProperties(node) {
         if (node && _.isObject(node)) {
             _.forIn(node, (value, key) => {
-                //Parsing date object
-                if (_.isDate(value)) {
-                    node[key] = value.getTime();
-                }
+                //Parsing date, point and bigint values, also inside arrays
+                node[key] = OGMNeoTypes.toNeo4j(value);
             });
         }
         return {};
@@ -54,13 +64,139 @@ class OGMNeoParse {
         return false;
     }
 
+    //Order keys like 'name', ['name', 'DESC'] or ['size(n.tags)', 'DESC', 'LAST'] to literal objects
+    static normalizeOrderKeys(keys) {
+        if (!_.isArray(keys) || _.isEmpty(keys)) {
+            throw new Error('The order keys must be a non empty array');
+        }
+        return keys.map((key) => {
+            let entry = _.isString(key) ? [key] : key;
+            if (!_.isArray(entry) || !_.isString(entry[0]) || _.isEmpty(entry[0])) {
+                throw new Error('Each order key must be a string or an array like [property, direction, nulls]');
+            }
+            let direction = _.toUpper(entry[1] || 'ASC');
+            let nulls = (entry[2] != null) ? _.toUpper(entry[2]) : null;
+            if (direction !== 'ASC' && direction !== 'DESC') {
+                throw new Error(`Invalid order direction ${entry[1]}, it must be ASC or DESC`);
+            } else if (nulls != null && nulls !== 'FIRST' && nulls !== 'LAST') {
+                throw new Error(`Invalid nulls order ${entry[2]}, it must be FIRST or LAST`);
+            }
+            return { key: entry[0], direction: direction, nulls: nulls };
+        });
+    }
+
+    //Plain property names are bound to the variable, anything else or every key without variable is used as a cypher expression
+    static orderKeysClause(keys, variable = 'n') {
+        return keys.reduce((clauses, key) => {
+            let expression = (variable != null && /^\w+$/.test(key.key)) ? this.parsePropertiesArray(key.key, variable) : key.key;
+            if (key.nulls != null) {
+                // false sorts before true, so IS NULL ASC puts the nulls last
+                clauses.push(`${expression} IS NULL ${(key.nulls === 'LAST') ? 'ASC' : 'DESC'}`);
+            }
+            clauses.push(`${expression} ${key.direction}`);
+            return clauses;
+        }, []).join(', ');
+    }
+
+    //Parsing a result record with scalar values, like aggregations, to a literal object
+    static recordToRow(record) {
+        if (record) {
+            return record.keys.reduce((row, key) => {
+                row[key] = this.parseValue(record.get(key));
+                return row;
+            }, {});
+        }
+        return null;
+    }
+
+    static parseValue(value) {
+        if (neo4j.isInt(value)) {
+            return this.parseInteger(value);
+        } else if (OGMNeo.nativeTypesEnabled && OGMNeoTypes.isNeo4jType(value)) {
+            return OGMNeoTypes.fromNeo4j(value);
+        } else if (_.isArray(value)) {
+            return value.map(item => this.parseValue(item));
+        } else if (_.isPlainObject(value)) {
+            return _.mapValues(value, item => this.parseValue(item));
+        }
+        return value;
+    }
+
+    //Neo4j 64-bit integers are converted with the OGMNeo.integerStrategy
+    static parseInteger(value) {
+        if (!neo4j.isInt(value)) {
+            return value;
+        }
+        switch (OGMNeo.integerStrategy) {
+        case 'string':
+            return value.toString();
+        case 'bigint':
+            return global.BigInt(value.toString());
+        default:
+            if (!neo4j.integer.inSafeRange(value)) {
+                throw new Error(`The integer ${value.toString()} is out of the javascript safe integer range, use the string or bigint integer strategy`);
+            }
+            return value.toNumber();
+        }
+    }
+
+    //Counts are always numbers, they never get near the unsafe integer range
+    static parseCount(value) {
+        return (neo4j.isInt(value)) ? value.toNumber() : value;
+    }
+
+    //Ids can be integer numbers, strings of digits, bigints or neo4j integers, as returned by every integer strategy
+    static isId(value) {
+        return _.isInteger(value) ||
+            (_.isString(value) && /^-?\d+$/.test(value)) ||
+            this._isBigInt(value) ||
+            neo4j.isInt(value);
+    }
+
+    //Ids are sent as parameters as neo4j integers, numbers are kept as they are
+    static idParam(value) {
+        return (_.isNumber(value)) ? value : neo4j.int(value.toString());
+    }
+
+    static _isBigInt(value) {
+        return OGMNeoTypes.isBigInt(value);
+    }
+
+    //Keyset pagination cursors are opaque base64 strings with the JSON of [propertyValue, id], dates are encoded as {$date: isoString} to be decoded as dates
+    static encodeCursor(values) {
+        let encodable = values.map((value) => {
+            let plain = OGMNeoTypes.fromNeo4j(value);
+            if (_.isDate(plain)) {
+                return { $date: plain.toISOString() };
+            }
+            return (this._isBigInt(plain) || neo4j.isInt(plain)) ? plain.toString() : plain;
+        });
+        return Buffer.from(JSON.stringify(encodable), 'utf8').toString('base64');
+    }
+
+    static decodeCursor(cursor) {
+        let values = null;
+        try {
+            values = JSON.parse(Buffer.from(String(cursor), 'base64').toString('utf8'));
+        } catch (error) {
+            values = null;
+        }
+        if (!_.isArray(values) || values.length !== 2 || !this.isId(values[1])) {
+            throw new Error('Invalid pagination cursor');
+        }
+        if (_.isPlainObject(values[0]) && _.isString(values[0].$date)) {
+            values[0] = new Date(values[0].$date);
+        }
+        return values;
+    }
+
     //Parsing result records to literal objects
     static relationNode(record) {
         if (record) {
             let node = record.get('r');
-            let obj = node.properties || {};
+            let obj = this.parseValue(node.properties || {});
             obj.__type = node.type;
-            obj.id = node.identity.low;
+            obj.id = this.parseInteger(node.identity);
             return obj;
         }
         return null;
@@ -81,8 +217,8 @@ class OGMNeoParse {
         if (record) {
             let node = record.get('r');
             let obj = this.relationNode(record);
-            obj.start = node.start.low;
-            obj.end = node.end.low;
+            obj.start = this.parseInteger(node.start);
+            obj.end = this.parseInteger(node.end);
             return obj;
         }
         return null;
@@ -113,14 +249,79 @@ class OGMNeoParse {
 
     static recordToNode(record, variable) {
         if (record) {
-            let node = record.get(variable);
-            let obj = node.properties || {};
-            obj.id = node.identity.low;
+            return this.parseNode(record.get(variable));
+        }
+        return null;
+    }
+
+    static parseNode(node) {
+        if (node) {
+            let obj = OGMNeoMapProperties.deserialize(node.labels, this.parseValue(node.properties || {}));
+            obj.id = this.parseInteger(node.identity);
+            obj.__labels = node.labels;
+            return obj;
+        }
+        return null;
+    }
+
+    static parseRelationship(relation) {
+        if (relation) {
+            let obj = this.parseValue(relation.properties || {});
+            obj.__type = relation.type;
+            obj.id = this.parseInteger(relation.identity);
+            obj.start = this.parseInteger(relation.start);
+            obj.end = this.parseInteger(relation.end);
+            return obj;
+        }
+        return null;
+    }
+
+    //Parsing a driver path to ordered nodes and relations
+    static parsePath(path) {
+        if (path) {
+            let nodes = [this.parseNode(path.start)];
+            let relations = path.segments.map((segment) => {
+                nodes.push(this.parseNode(segment.end));
+                return this.parseRelationship(segment.relationship);
+            });
+            return { nodes: nodes, relations: relations, length: relations.length };
+        }
+        return null;
+    }
+
+    //Parsing the root node and the collected related nodes of a populated query
+    static recordToPopulatedNode(record, tree, variable = 'n') {
+        if (record) {
+            let obj = this.recordToNode(record, variable);
+            _.forIn(tree, (branch, name) => {
+                obj[name] = this._parsePopulated(record.get(branch.alias), branch);
+            });
             return obj;
         }
         return null;
     }
 
+    static _parsePopulated(value, branch) {
+        if (branch.relationship.many) {
+            return _.castArray(value || [])
+                .map(item => this._parsePopulatedNode(item, branch.children))
+                .filter(item => item != null);
+        }
+        return this._parsePopulatedNode(value, branch.children);
+    }
+
+    // Related nodes without nested relationships are collected as nodes, otherwise as maps like {node, relationshipName: collected}
+    static _parsePopulatedNode(value, tree) {
+        let node = (_.isEmpty(tree)) ? value : _.get(value, 'node');
+        let obj = this.parseNode(node);
+        if (obj != null) {
+            _.forIn(tree, (branch, name) => {
+                obj[name] = this._parsePopulated(value[name], branch);
+            });
+        }
+        return obj;
+    }
+
     static parseRecordNode(record, variable) {
         if (record) {
             if (_.includes(record.keys, variable)) {
@@ -135,11 +336,13 @@ class OGMNeoParse {
     static propertiesFromVariable(record, variable) {
         let obj = {};
         record.keys.forEach((key) => {
-            let value = record.get(key);
+            let value = this.parseValue(record.get(key));
             if (_.startsWith(key, `${variable}.`)) {
                 obj[key.substring(variable.length + 1)] = value;
             } else if (key === `ID(${variable})`) {
                 obj.id = value;
+            } else if (key === `type(${variable})`) {
+                obj.__type = value;
             }
         });
         return obj;
@@ -0,0 +1,264 @@
+'use strict';
+
+const _ = require('lodash');
+const OGMNeoWhere = require('./ogmneo-where');
+const OGMObjectParse = require('./ogmneo-parse');
+
+const directions = ['out', 'in', 'both'];
+
+/**
+    * @class OGMNeoPathQuery
+ */
+class OGMNeoPathQuery {
+
+    /**
+        * Constructs a variable-length path query from a start node.
+        *
+        * @constructor
+        * @param {string|array} [types=null] - The relation type or types that the paths can traverse. Default null traverses any type.
+    */
+    constructor(types = null) {
+        this.types(types);
+    }
+
+    /**
+        * Convenience method that creates a path query.
+        *
+        * @static
+        * @param {string|array} [types=null] - The relation type or types that the paths can traverse. Default null traverses any type.
+        * @returns {OGMNeoPathQuery} Created query.
+    */
+    static create(types = null) {
+        return new OGMNeoPathQuery(types);
+    }
+
+    /**
+        * Sets the relation types that the paths can traverse.
+        *
+        * @param {string|array} types - The relation type or types.
+        * @returns {OGMNeoPathQuery} This instance of query.
+    */
+    types(types) {
+        this._types = _.castArray(types).filter(type => _.isString(type) && !_.isEmpty(type));
+        return this;
+    }
+
+    /**
+        * Add ID and Label constraints to the start node.
+        *
+        * @param {integer|string|bigint} nodeId - Node id constraint.
+        * @param {string} label - Label constraint.
+        * @returns {OGMNeoPathQuery} This instance of query.
+    */
+    startNode(nodeId, label) {
+        if (OGMObjectParse.isId(nodeId)) {
+            this._startNodeId = nodeId;
+        }
+        if (_.isString(label)) {
+            this._startNodeLabel = label;
+        }
+        return this;
+    }
+
+    /**
+        * Add ID and Label constraints to the end nodes.
+        *
+        * @param {integer|string|bigint} nodeId - Node id constraint.
+        * @param {string} label - Label constraint.
+        * @returns {OGMNeoPathQuery} This instance of query.
+    */
+    endNode(nodeId, label) {
+        if (OGMObjectParse.isId(nodeId)) {
+            this._endNodeId = nodeId;
+        }
+        if (_.isString(label)) {
+            this._endNodeLabel = label;
+        }
+        return this;
+    }
+
+    /**
+        * Add start node where constraint to this query object.
+        *
+        * @param {OGMNeoWhere} where - The query constraints that will be applied to start node properties.
+        * @returns {OGMNeoPathQuery} This instance of query.
+    */
+    startNodeWhere(where) {
+        if (where == null || where instanceof OGMNeoWhere) {
+            this._startNodeWhere = where;
+            if (where) {
+                this._startNodeWhere.variable = 'n1';
+            }
+        }
+        return this;
+    }
+
+    /**
+        * Add end nodes where constraint to this query object.
+        *
+        * @param {OGMNeoWhere} where - The query constraints that will be applied to end nodes properties.
+        * @returns {OGMNeoPathQuery} This instance of query.
+    */
+    endNodeWhere(where) {
+        if (where == null || where instanceof OGMNeoWhere) {
+            this._endNodeWhere = where;
+            if (where) {
+                this._endNodeWhere.variable = 'n2';
+            }
+        }
+        return this;
+    }
+
+    /**
+        * Sets the relations direction from the start node. Default is out.
+        *
+        * @param {string} value - The direction: 'out', 'in' or 'both'.
+        * @returns {OGMNeoPathQuery} This instance of query.
+        * @throws {Error} Will throw an error if the direction is invalid.
+    */
+    direction(value) {
+        if (!_.includes(directions, value)) {
+            throw new Error(`The path direction must be one of ${directions.join(', ')}`);
+        }
+        this._direction = value;
+        return this;
+    }
+
+    /**
+        * Sets the minimum and maximum number of relations of the paths. Default is at least one relation with no maximum.
+        *
+        * @param {integer} [min=1] - The minimum number of relations.
+        * @param {integer} [max=null] - The maximum number of relations. Default null is no maximum.
+        * @returns {OGMNeoPathQuery} This instance of query.
+        * @throws {Error} Will throw an error if min or max is not a non negative integer or max is lower than min.
+    */
+    hops(min = 1, max = null) {
+        if (!_.isInteger(min) || min < 0 || (max != null && (!_.isInteger(max) || max < min))) {
+            throw new Error('The path hops must be non negative integers and max must not be lower than min');
+        }
+        this._minHops = min;
+        this._maxHops = max;
+        return this;
+    }
+
+    /**
+        * Add an order by clause with a direction for each key. Plain property names are end node properties. Expressions can use n1, n2 and p, like 'length(p)', when returning paths, and only n2 when returning end nodes.
+        *
+        * @param {array} keys - The order keys. See OGMNeoQuery.orderBy.
+        * @returns {OGMNeoPathQuery} This instance of query.
+        * @throws {Error} Will throw an error if some key or direction is invalid.
+    */
+    orderBy(keys) {
+        this._orderBy = OGMObjectParse.normalizeOrderKeys(keys);
+        return this;
+    }
+
+    /**
+        * Add limit constraint to this query object.
+        *
+        * @param {integer} value - The max number of values that should be returned.
+        * @returns {OGMNeoPathQuery} This instance of query.
+    */
+    limit(value) {
+        if (_.isInteger(value)) {
+            this._limit = value;
+        }
+        return this;
+    }
+
+    /**
+     * The parameters referenced by the cypher of this query.
+     * @type {object}
+    */
+    get params() {
+        let wheres = [this._startNodeWhere, this._endNodeWhere];
+        return wheres.reduce((params, where) => {
+            return (where != null) ? _.assign(params, where.params) : params;
+        }, {});
+    }
+
+    /**
+        * Build cypher match clause of this query.
+        *
+        * @returns {string} The match cypher.
+    */
+    matchCypher() {
+        let match = `MATCH p=${this.pathPattern()}`;
+        let where = this.whereCypher();
+        return (where !== '') ? `${match} ${where}` : match;
+    }
+
+    /**
+        * Build the path pattern of this query, like (n1)-[:KNOWS*1..3]->(n2:Person).
+        *
+        * @returns {string} The path pattern.
+    */
+    pathPattern() {
+        let direction = this._direction || 'out';
+        let left = (direction === 'in') ? '<-' : '-';
+        let right = (direction === 'out') ? '->' : '-';
+        let start = 'n1' + ((this._startNodeLabel != null) ? `:${this._startNodeLabel}` : '');
+        let end = 'n2' + ((this._endNodeLabel != null) ? `:${this._endNodeLabel}` : '');
+        return `(${start})${left}[${this.relationPattern()}]${right}(${end})`;
+    }
+
+    /**
+        * Build the relation pattern of the paths, like :KNOWS|LIKES*1..3.
+        *
+        * @returns {string} The relation pattern.
+    */
+    relationPattern() {
+        let types = (_.isEmpty(this._types)) ? '' : `:${this._types.join('|')}`;
+        let min = (this._minHops != null) ? this._minHops : 1;
+        let max = (this._maxHops != null) ? this._maxHops : '';
+        return `${types}*${min}..${max}`;
+    }
+
+    /**
+        * Build cypher where clause of this query.
+        *
+        * @returns {string} The where cypher.
+    */
+    whereCypher() {
+        let clauses = [];
+        if (this._startNodeId != null) {
+            clauses.push(`ID(n1) = ${this._startNodeId}`);
+        }
+        if (this._endNodeId != null) {
+            clauses.push(`ID(n2) = ${this._endNodeId}`);
+        }
+        [this._startNodeWhere, this._endNodeWhere].forEach((where) => {
+            let clause = (where != null) ? where.clause : '';
+            if (clause !== '') {
+                clauses.push((where.conditions.length > 1) ? `(${clause})` : clause);
+            }
+        });
+        return (_.isEmpty(clauses)) ? '' : `WHERE ${clauses.join(' AND ')}`;
+    }
+
+    /**
+        * Return cypher query string that returns the matched paths.
+        *
+        * @returns {string} Cypher query.
+    */
+    queryPathsCypher() {
+        return this._queryCypher('RETURN p');
+    }
+
+    /**
+        * Return cypher query string that returns the distinct end nodes of the matched paths.
+        *
+        * @returns {string} Cypher query.
+    */
+    queryEndNodesCypher() {
+        return this._queryCypher('RETURN DISTINCT n2');
+    }
+
+    _queryCypher(returnClause) {
+        let order = (this._orderBy != null) ? `ORDER BY ${OGMObjectParse.orderKeysClause(this._orderBy, 'n2')}` : '';
+        let limit = (this._limit) ? `LIMIT ${this._limit}` : '';
+        return [this.matchCypher(), returnClause, order, limit].filter(clause => clause !== '').join(' ');
+    }
+}
+
+module.exports = OGMNeoPathQuery;
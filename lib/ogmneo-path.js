@@ -0,0 +1,182 @@
+'use strict';
+
+const _ = require('lodash');
+const OGMNeoObjectParse = require('./ogmneo-parse');
+const OGMNeoPathQuery = require('./ogmneo-path-query');
+const { OGMNeoOperation, OGMNeoOperationBuilder } = require('./ogmneo-operation');
+const OGMNeoOperationExecuter = require('./ogmneo-operation-executer');
+
+/**
+    * @class OGMNeoPath
+ */
+class OGMNeoPath {
+
+    /**
+        * Find the paths that match a path query.
+        *
+        * @static
+        * @param {OGMNeoPathQuery} query - The path query.
+        * @returns {Promise.<array|Error>} Paths like {nodes, relations, length}, with the nodes and relations ordered from the start node, if fulfilled, or some neo4j error if rejected.
+    */
+    static find(query) {
+        try {
+            let operation = this.findOperation(query);
+            return OGMNeoOperationExecuter.execute(operation);
+        } catch (error) {
+            return Promise.reject(error);
+        }
+    }
+
+    /**
+        * Operation that finds the paths that match a path query.
+        *
+        * @static
+        * @param {OGMNeoPathQuery} query - The path query.
+        * @returns {OGMNeoOperation} Operation that returns the paths.
+        * @throws {Error} Will throw an error if the query object was null or not an instance of OGMNeoPathQuery.
+    */
+    static findOperation(query) {
+        if (query != null && query instanceof OGMNeoPathQuery) {
+            return OGMNeoOperationBuilder.create()
+                .cypher(query.queryPathsCypher())
+                .object(query.params)
+                .type(OGMNeoOperation.READ)
+                .then((result) => {
+                    return result.records.map(record => OGMNeoObjectParse.parsePath(record.get('p')));
+                }).build();
+        } else {
+            throw new Error('The query object can\'t be null and must be an instance of OGMNeoPathQuery');
+        }
+    }
+
+    /**
+        * Find the distinct end nodes of the paths that match a path query.
+        *
+        * @static
+        * @param {OGMNeoPathQuery} query - The path query.
+        * @returns {Promise.<array|Error>} End nodes if fulfilled, or some neo4j error if rejected.
+    */
+    static findEndNodes(query) {
+        try {
+            let operation = this.findEndNodesOperation(query);
+            return OGMNeoOperationExecuter.execute(operation);
+        } catch (error) {
+            return Promise.reject(error);
+        }
+    }
+
+    /**
+        * Operation that finds the distinct end nodes of the paths that match a path query.
+        *
+        * @static
+        * @param {OGMNeoPathQuery} query - The path query.
+        * @returns {OGMNeoOperation} Operation that returns the end nodes.
+        * @throws {Error} Will throw an error if the query object was null or not an instance of OGMNeoPathQuery.
+    */
+    static findEndNodesOperation(query) {
+        if (query != null && query instanceof OGMNeoPathQuery) {
+            return OGMNeoOperationBuilder.create()
+                .cypher(query.queryEndNodesCypher())
+                .object(query.params)
+                .type(OGMNeoOperation.READ)
+                .then((result) => {
+                    return result.records.map(record => OGMNeoObjectParse.recordToNode(record, 'n2'));
+                }).build();
+        } else {
+            throw new Error('The query object can\'t be null and must be an instance of OGMNeoPathQuery');
+        }
+    }
+
+    /**
+        * Find one shortest path between two nodes.
+        *
+        * @static
+        * @param {integer|string|bigint} fromId - The start node id.
+        * @param {integer|string|bigint} toId - The end node id.
+        * @param {object} [options={}] - The path options: types(relation type or types), direction('out', 'in' or 'both', default out) and maxHops.
+        * @returns {Promise.<object|Error>} Path like {nodes, relations, length} or null if there is no path if fulfilled, or some neo4j error if rejected. The path from a node to itself has length 0.
+    */
+    static shortest(fromId, toId, options = {}) {
+        try {
+            let operation = this.shortestOperation(fromId, toId, options);
+            return OGMNeoOperationExecuter.execute(operation);
+        } catch (error) {
+            return Promise.reject(error);
+        }
+    }
+
+    /**
+        * Operation that finds one shortest path between two nodes.
+        *
+        * @static
+        * @param {integer|string|bigint} fromId - The start node id.
+        * @param {integer|string|bigint} toId - The end node id.
+        * @param {object} [options={}] - The path options. See shortest.
+        * @returns {OGMNeoOperation} Operation that returns the path or null.
+        * @throws {Error} Will throw an error if some id was not an integer or some option is invalid.
+    */
+    static shortestOperation(fromId, toId, options = {}) {
+        let operation = this._shortestOperation('shortestPath', fromId, toId, options);
+        let then = operation.then;
+        operation.then = (result) => _.first(then(result)) || null;
+        return operation;
+    }
+
+    /**
+        * Find every shortest path between two nodes.
+        *
+        * @static
+        * @param {integer|string|bigint} fromId - The start node id.
+        * @param {integer|string|bigint} toId - The end node id.
+        * @param {object} [options={}] - The path options. See shortest.
+        * @returns {Promise.<array|Error>} Paths like {nodes, relations, length} if fulfilled, or some neo4j error if rejected. The path from a node to itself has length 0.
+    */
+    static allShortest(fromId, toId, options = {}) {
+        try {
+            let operation = this.allShortestOperation(fromId, toId, options);
+            return OGMNeoOperationExecuter.execute(operation);
+        } catch (error) {
+            return Promise.reject(error);
+        }
+    }
+
+    /**
+        * Operation that finds every shortest path between two nodes.
+        *
+        * @static
+        * @param {integer|string|bigint} fromId - The start node id.
+        * @param {integer|string|bigint} toId - The end node id.
+        * @param {object} [options={}] - The path options. See shortest.
+        * @returns {OGMNeoOperation} Operation that returns the paths.
+        * @throws {Error} Will throw an error if some id was not an integer or some option is invalid.
+    */
+    static allShortestOperation(fromId, toId, options = {}) {
+        return this._shortestOperation('allShortestPaths', fromId, toId, options);
+    }
+
+    static _shortestOperation(fn, fromId, toId, options) {
+        if (!OGMNeoObjectParse.isId(fromId) || !OGMNeoObjectParse.isId(toId)) {
+            throw new Error('You must provide integer ids for the start and end nodes');
+        }
+        let maxHops = (options.maxHops != null) ? options.maxHops : null;
+        let query = OGMNeoPathQuery.create(options.types).hops(1, maxHops);
+        if (options.direction != null) {
+            query.direction(options.direction);
+        }
+        let cypher = `MATCH (n1) WHERE ID(n1) = ${fromId} ` +
+            `MATCH (n2) WHERE ID(n2) = ${toId} ` +
+            `MATCH p=${fn}(${query.pathPattern()}) RETURN p`;
+        if (fromId.toString() === toId.toString()) {
+            // Neo4j rejects shortest paths that start and end on the same node.
+            cypher = `MATCH p=(n1) WHERE ID(n1) = ${fromId} RETURN p`;
+        }
+        return OGMNeoOperationBuilder.create()
+            .cypher(cypher)
+            .type(OGMNeoOperation.READ)
+            .then((result) => {
+                return result.records.map(record => OGMNeoObjectParse.parsePath(record.get('p')));
+            }).build();
+    }
+}
+
+module.exports = OGMNeoPath;
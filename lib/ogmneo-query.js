@@ -3,6 +3,10 @@
 const _ = require('lodash');
 const OGMNeoWhere = require('./ogmneo-where');
 const OGMObjectParse = require('./ogmneo-parse');
+const OGMNeoTypes = require('./ogmneo-types');
+const OGMNeoRelationships = require('./ogmneo-relationships');
+
+const aggregationFunctions = ['sum', 'avg', 'min', 'max', 'collect'];
 
 /**
     * @class OGMNeoQuery
@@ -13,7 +17,7 @@ class OGMNeoQuery {
         * Constructs a query object with an label.
         *
         * @constructor
-        * @param {string=} label - The query to filter nodes that have to be returned.
+        * @param {string|array=} label - The label, or the labels that every returned node must have.
     */
     constructor(label) {
         this.label = label;
@@ -23,7 +27,7 @@ class OGMNeoQuery {
         * Convenience method that creates a query object with an label.
         *
         * @static
-        * @param {string=} label - The query to filter nodes that have to be returned.
+        * @param {string|array=} label - The label, or the labels that every returned node must have.
         * @returns {OGMNeoQuery} Created query with label.
     */
     static create(label) {
@@ -31,15 +35,36 @@ class OGMNeoQuery {
     }
 
     set label(value) {
-        if (value && _.isString(value) && !_.isEmpty(value)) {
-            this._label = value;
+        let labels = _.castArray(value).filter(label => _.isString(label) && !_.isEmpty(label));
+        if (!_.isEmpty(labels)) {
+            this._labels = labels;
         }
     }
     /**
+     * The first label of the query. It is the label used for hooks and populated relationships.
      * @type {string}
     */
     get label() {
-        return this._label;
+        return _.first(this._labels);
+    }
+
+    /**
+     * Every label that the returned nodes must have.
+     * @type {array}
+    */
+    get labels() {
+        return this._labels || [];
+    }
+
+    /**
+        * Add a constraint to return only the nodes that have at least one of the labels.
+        *
+        * @param {array} labels - The labels.
+        * @returns {OGMNeoQuery} This instance of query.
+    */
+    anyLabels(labels) {
+        this._anyLabels = _.castArray(labels).filter(label => _.isString(label) && !_.isEmpty(label));
+        return this;
     }
 
     /**
@@ -49,6 +74,19 @@ class OGMNeoQuery {
         return  this._where;
     }
 
+    /**
+     * The parameters referenced by the cypher of this query.
+     * @type {object}
+    */
+    get params() {
+        let params = (this.whereObject == null) ? {} : this.whereObject.params;
+        if (this._keyset != null && this._keyset.values != null) {
+            params.keyset_value = OGMNeoTypes.toNeo4j(this._keyset.values[0]);
+            params.keyset_id = OGMObjectParse.idParam(this._keyset.values[1]);
+        }
+        return params;
+    }
+
     where(value) {
         if (value == null || value instanceof OGMNeoWhere) {
             this._where = value; 
@@ -58,6 +96,17 @@ class OGMNeoQuery {
         return this;
     } 
 
+    /**
+        * Compiles a filter document into an OGMNeoWhere and sets it as the where constraint of this query.
+        *
+        * @param {object} document - The filter document. Example: { age: {$gt: 18}, $or: [{name: 'a'}, {name: {$startsWith: 'b'}}] }. See OGMNeoWhere.fromFilter.
+        * @returns {OGMNeoQuery} This instance of query.
+        * @throws {Error} Will throw an error if the document is not an object or uses an unknown operator.
+    */
+    filter(document) {
+        return this.where(OGMNeoWhere.fromFilter(document));
+    }
+
     /**
         * Add limit constraint to this query object.
         *
@@ -71,6 +120,71 @@ class OGMNeoQuery {
         return this;
     }
     
+    /**
+        * Add skip constraint to this query object.
+        *
+        * @param {integer} value - The number of values that should be skipped before the returned ones.
+        * @returns {OGMNeoQuery} This instance of query.
+    */
+    skip(value) {
+        if (_.isInteger(value)) {
+            this._skip = value;
+        }
+        return this;
+    }
+
+    /**
+        * Orders this query by a property and the node id, and if a cursor is provided only matches the nodes after it. Nodes without the property are not matched.
+        * The keyset order replaces the order by clauses.
+        *
+        * @param {string} property - The property to order by for.
+        * @param {string} [order='ASC'] - The order, ASC or DESC.
+        * @param {string} [cursor=null] - A cursor returned by cursorFor.
+        * @returns {OGMNeoQuery} This instance of query.
+        * @throws {Error} Will throw an error if the property is not a non-empty string of word characters, the order is invalid or the cursor is invalid.
+    */
+    keyset(property, order = 'ASC', cursor = null) {
+        if (!_.isString(property) || !/^\w+$/.test(property)) {
+            throw new Error('The keyset property must be a non empty string with only word characters');
+        } else if (order !== 'ASC' && order !== 'DESC') {
+            throw new Error('The keyset order must be ASC or DESC');
+        }
+        this._keyset = {
+            property: property,
+            order: order,
+            values: (cursor != null) ? OGMObjectParse.decodeCursor(cursor) : null
+        };
+        return this;
+    }
+
+    /**
+        * The keyset cursor that points to a node returned by this query.
+        *
+        * @param {object} node - A node returned by this query.
+        * @returns {string} The cursor or null if this query has no keyset.
+    */
+    cursorFor(node) {
+        if (this._keyset == null || node == null) {
+            return null;
+        }
+        return OGMObjectParse.encodeCursor([node[this._keyset.property], node.id]);
+    }
+
+    /**
+        * Add an order by clause with a direction for each key to this query object. It replaces the other order by clauses.
+        * A key can be a property name, an expression like 'size(n.tags)' or 'n1.name', a [key, direction] array or a [key, direction, nulls] array where nulls is FIRST or LAST.
+        *
+        * @param {array} keys - The order keys. Example: [['lastName', 'ASC'], ['age', 'DESC', 'LAST'], ['size(n.tags)', 'DESC']].
+        * @returns {OGMNeoQuery} This instance of query.
+        * @throws {Error} Will throw an error if some key or direction is invalid.
+    */
+    orderBy(keys) {
+        this._orderBy = {
+            keys: OGMObjectParse.normalizeOrderKeys(keys)
+        };
+        return this;
+    }
+
     /**
         * Add DESCENDING order by clause to this query object.
         *
@@ -113,7 +227,12 @@ class OGMNeoQuery {
     }
 
     orderByClause(variable = 'n') {
-        if (this._orderBy && OGMObjectParse.isValidPropertiesArray(this._orderBy.properties)) {
+        if (this._keyset != null) {
+            let order = this._keyset.order;
+            return `ORDER BY ${variable}.${this._keyset.property} ${order}, ID(${variable}) ${order}`;
+        } else if (this._orderBy && this._orderBy.keys) {
+            return `ORDER BY ${OGMObjectParse.orderKeysClause(this._orderBy.keys, variable)}`;
+        } else if (this._orderBy && OGMObjectParse.isValidPropertiesArray(this._orderBy.properties)) {
             let properties = OGMObjectParse.parsePropertiesArray(this._orderBy.properties, variable);
             return `ORDER BY ${properties} ${this._orderBy.order}`;
         }
@@ -124,6 +243,10 @@ class OGMNeoQuery {
         return (this._limit) ? `LIMIT ${this._limit}` : '';
     }
 
+    skipClause() {
+        return (this._skip) ? `SKIP ${this._skip}` : '';
+    }
+
     returnClause() {
         return (this._return !== undefined) ? this._return : 'RETURN n';
     }
@@ -133,7 +256,7 @@ class OGMNeoQuery {
         * @returns {string} Cypher count match string.
     */
     countCypher() {
-        let queryLabel = (this.label) ? `:${this.label}` : '';
+        let queryLabel = OGMObjectParse.labelsCypher(this.labels);
         let cypher = `MATCH (n${queryLabel}) ${this._whereStatement()} RETURN COUNT(n) as count`;
         return cypher;
     }
@@ -144,9 +267,97 @@ class OGMNeoQuery {
         * @returns {string} Cypher query.
     */
     queryCypher() {
+        let clauses = [this.matchCypher(), this.returnClause(), this.orderByClause(), this.skipClause(), this.limitClause()];
+        return clauses.filter(clause => clause !== '').join(' ');
+    }
+
+    /**
+        * Return cypher query string that searches a full-text index and filters the found nodes by this query. The nodes are returned with their score, ordered by the greatest scores when this query has no order.
+        * The custom return properties are ignored, the nodes are always returned whole.
+        *
+        * @param {integer} [limit=null] - The max number of nodes, replacing the limit of this query without changing it.
+        * @param {integer} [skip=null] - The number of skipped nodes, replacing the skip of this query without changing it.
+        * @returns {string} Cypher search query, with the search_index and search_text parameters.
+    */
+    searchCypher(limit = null, skip = null) {
+        let call = 'CALL db.index.fulltext.queryNodes({search_index}, {search_text}) YIELD node AS n, score';
+        let order = this.orderByClause() || 'ORDER BY score DESC';
+        let skipClause = (_.isInteger(skip)) ? `SKIP ${skip}` : this.skipClause();
+        let limitClause = (_.isInteger(limit)) ? `LIMIT ${limit}` : this.limitClause();
+        let clauses = [call, this._whereStatement(this.labels.map(label => `n:${label}`)), 'RETURN n, score', order, skipClause, limitClause];
+        return clauses.filter(clause => clause !== '').join(' ');
+    }
+
+    /**
+        * Return full cypher query string related to this query that also collects the related nodes of the relationships declared for the query label.
+        * The order and limit are applied to the matched nodes before the related nodes are collected. The custom return properties are ignored, the nodes are always returned whole.
+        *
+        * @param {string|array} paths - The relationships names to be populated. Nested relationships are separated by dots, e.g. ['posts', 'posts.comments'].
+        * @returns {string} Cypher query.
+        * @throws {Error} Will throw an error if the query has no label or some path uses a relationship that was not declared.
+    */
+    populatedQueryCypher(paths) {
+        if (!this.label) {
+            throw new Error('A query label is required to populate relationships');
+        }
+        let tree = OGMNeoRelationships.populateTree(this.label, paths);
         let order = this.orderByClause();
-        order = (order !== '')? ` ${order}` : '';
-        return `${this.matchCypher()} ${this.returnClause()}${order} ${this.limitClause()}`.trim();
+        let pagination = [order, this.skipClause(), this.limitClause()].filter(clause => clause !== '');
+        let statements = [this.matchCypher()];
+        if (!_.isEmpty(pagination)) {
+            statements.push(`WITH n ${pagination.join(' ')}`);
+        }
+        let populated = this._populateStatements('n', tree, []);
+        let aliases = _.map(tree, branch => branch.alias);
+        statements = statements.concat(populated.statements);
+        statements.push(`RETURN ${['n'].concat(aliases).join(', ')} ${order}`.trim());
+        return statements.join(' ');
+    }
+
+    /**
+        * Return cypher query string that aggregates the nodes matched by this query. The skip and limit of this query are applied to the rows.
+        *
+        * @param {object} aggregations - The aggregations. groupBy, sum, avg, min, max and collect can be a property or an array of properties, and count(boolean) counts the nodes.
+        The rows have a column for each groupBy property and a column for each aggregation named with the function and the property, like sum_amount.
+        orderBy orders the rows by the columns, with the same keys format of the orderBy method. Example: { groupBy: 'country', count: true, sum: 'amount', orderBy: [['sum_amount', 'DESC']] }.
+        * @returns {string} Cypher aggregation query.
+        * @throws {Error} Will throw an error if there is no aggregation or some property is not a non-empty string.
+    */
+    aggregateCypher(aggregations) {
+        let options = aggregations || {};
+        let columns = this._aggregationProperties(options.groupBy).map((property) => {
+            return `${OGMObjectParse.parsePropertiesArray(property)} AS ${property}`;
+        });
+        if (options.count) {
+            columns.push('count(n) AS count');
+        }
+        aggregationFunctions.forEach((fn) => {
+            this._aggregationProperties(options[fn]).forEach((property) => {
+                columns.push(`${fn}(${OGMObjectParse.parsePropertiesArray(property)}) AS ${fn}_${property}`);
+            });
+        });
+        if (_.isEmpty(columns)) {
+            throw new Error(`An aggregation must have at least one of groupBy, count, ${aggregationFunctions.join(', ')}`);
+        }
+        let order = (options.orderBy != null) ? `ORDER BY ${OGMObjectParse.orderKeysClause(OGMObjectParse.normalizeOrderKeys(options.orderBy), null)}` : '';
+        let clauses = [this.matchCypher(), `RETURN ${columns.join(', ')}`, order, this.skipClause(), this.limitClause()];
+        return clauses.filter(clause => clause !== '').join(' ');
+    }
+
+    /**
+        * Return cypher query string that counts the nodes matched by this query by each value of the properties. Null values are not counted.
+        *
+        * @param {string|array} properties - The properties to be counted.
+        * @returns {string} Cypher query that returns facet, value and count columns, ordered by the greatest counts.
+        * @throws {Error} Will throw an error if there is no property or some property is not a non-empty string.
+    */
+    facetsCypher(properties) {
+        let facets = this._aggregationProperties(properties);
+        if (_.isEmpty(facets)) {
+            throw new Error('At least one facet property must be provided');
+        }
+        let list = facets.map(property => `'${property}'`).join(', ');
+        return `${this.matchCypher()} UNWIND [${list}] AS facet WITH facet, n[facet] AS value WHERE value IS NOT NULL RETURN facet, value, count(*) AS count ORDER BY count DESC`;
     }
 
     /**
@@ -155,12 +366,68 @@ class OGMNeoQuery {
         * @returns {string} Cypher match query.
     */
     matchCypher() {
-        let queryLabel = (this.label) ? `:${this.label}` : '';
+        let queryLabel = OGMObjectParse.labelsCypher(this.labels);
         return `MATCH (n${queryLabel}) ${this._whereStatement()}`.trim();
     }
 
-    _whereStatement() {
-        return (this.whereObject == null) ? '' : `WHERE ${this.whereObject.clause}`;
+    // Each relationship is matched optionally and collected right after its nested relationships, carrying the variables already in scope.
+    _populateStatements(variable, tree, scope) {
+        let statements = [];
+        let carried = scope.concat(variable);
+        _.forIn(tree, (branch) => {
+            let relationship = branch.relationship;
+            let pattern = `-[:${relationship.type}]-`;
+            if (relationship.direction === 'out') {
+                pattern = `${pattern}>`;
+            } else if (relationship.direction === 'in') {
+                pattern = `<${pattern}`;
+            }
+            statements.push(`OPTIONAL MATCH (${variable})${pattern}(${branch.variable}:${relationship.target})`);
+            let nested = this._populateStatements(branch.variable, branch.children, carried);
+            statements = statements.concat(nested.statements);
+            let collected = `collect(DISTINCT ${nested.value})`;
+            statements.push(`WITH ${carried.join(', ')}, ${(relationship.many) ? collected : `head(${collected})`} AS ${branch.alias}`);
+            carried = carried.concat(branch.alias);
+        });
+        let fields = _.map(tree, (branch, name) => `${name}: ${branch.alias}`);
+        let value = (_.isEmpty(fields)) ? variable : `{node: ${variable}, ${fields.join(', ')}}`;
+        return { statements: statements, value: value };
+    }
+
+    _aggregationProperties(value) {
+        let properties = (value == null) ? [] : _.castArray(value);
+        if (!_.every(properties, property => _.isString(property) && /^\w+$/.test(property))) {
+            throw new Error('The aggregation properties must be non empty strings with only word characters');
+        }
+        return properties;
+    }
+
+    // The given constraints follow the where clause, before the any labels and keyset constraints.
+    _whereStatement(constraints = []) {
+        constraints = constraints.slice();
+        if (!_.isEmpty(this._anyLabels)) {
+            constraints.push(`(${this._anyLabels.map(label => `n:${label}`).join(' OR ')})`);
+        }
+        if (this._keyset != null) {
+            constraints.push(this._keysetClause('n'));
+        }
+        let clause = (this.whereObject == null) ? '' : this.whereObject.clause;
+        if (clause !== '') {
+            let grouped = !_.isEmpty(constraints) && this.whereObject.conditions.length > 1;
+            constraints.unshift((grouped) ? `(${clause})` : clause);
+        }
+        return (_.isEmpty(constraints)) ? '' : `WHERE ${constraints.join(' AND ')}`;
+    }
+
+    // Nodes after the cursor have a greater(or lower on DESC) property value, or the same value and a greater(or lower) id.
+    _keysetClause(variable) {
+        let property = `${variable}.${this._keyset.property}`;
+        let clause = `${property} IS NOT NULL`;
+        if (this._keyset.values != null) {
+            let operator = (this._keyset.order === 'ASC') ? '>' : '<';
+            clause += ` AND (${property} ${operator} {keyset_value} OR (${property} = {keyset_value} AND ID(${variable}) ${operator} {keyset_id}))`;
+        }
+        return clause;
     }
 }
 
@@ -3,39 +3,51 @@
 const _ = require('lodash');
 const OGMNeoWhere = require('./ogmneo-where');
 const OGMObjectParse = require('./ogmneo-parse');
+const OGMNeoTypes = require('./ogmneo-types');
+
+const directions = ['out', 'in', 'both'];
 
 /**
     * @class OGMNeoRelationQuery
  */
 class OGMNeoRelationQuery {
     /**
-        * Constructs a query object with a relation type.
+        * Constructs a query object with a relation type or types.
         *
         * @constructor
-        * @param {string} [type=null] - The relation name to filter.
+        * @param {string|array} [type=null] - The relation name or names to filter. A relation matches if it has any of them.
     */
     constructor(type) {
         this.type = type;
     }
 
     set type(type) {
-        if (_.isString(type) && !_.isEmpty(type)) {
-            this._type = type;
+        let types = _.castArray(type).filter(value => _.isString(value) && !_.isEmpty(value));
+        if (!_.isEmpty(types)) {
+            this._types = types;
         }
     }
     /**
-     * Relation type name constraint.
+     * Relation type name constraint. With many types it is the first one.
      * @type {string}
     */
     get type() {
-        return this._type;
+        return _.first(this._types);
+    }
+
+    /**
+     * Relation type names constraint.
+     * @type {array}
+    */
+    get types() {
+        return this._types || [];
     }
 
     /**
-        * Convenience method that creates a query object with a relation type.
+        * Convenience method that creates a query object with a relation type or types.
         *
         * @static
-        * @param {string} [type=null] - The relation name to filter.
+        * @param {string|array} [type=null] - The relation name or names to filter. A relation matches if it has any of them.
         * @returns {OGMNeoRelationQuery} Created query.
     */
     static create(type) {
@@ -45,12 +57,12 @@ class OGMNeoRelationQuery {
     /**
         * Add ID and Label constraints to the startNode.
         *
-        * @param {integer} nodeId - Node id constraint.
+        * @param {integer|string|bigint} nodeId - Node id constraint.
         * @param {string} label - Label constraint.
         * @returns {OGMNeoRelationQuery} This instance of query.
     */
     startNode(nodeId, label) {
-        if (_.isInteger(nodeId)) {
+        if (OGMObjectParse.isId(nodeId)) {
             this._startNodeId = nodeId;
         }
         if (_.isString(label)) {
@@ -62,12 +74,12 @@ class OGMNeoRelationQuery {
     /**
         * Add ID and Label constraints to the endNode.
         *
-        * @param {integer} nodeId - Node id constraint.
+        * @param {integer|string|bigint} nodeId - Node id constraint.
         * @param {string} label - Label constraint.
         * @returns {OGMNeoRelationQuery} This instance of query.
     */
     endNode(nodeId, label) {
-        if (_.isInteger(nodeId)) {
+        if (OGMObjectParse.isId(nodeId)) {
             this._endNodeId = nodeId;
         }
         if (_.isString(label)) {
@@ -76,6 +88,22 @@ class OGMNeoRelationQuery {
         return this;
     }
 
+    /**
+        * Sets the relation direction from the start node to the end node. Default is out, (n1)-[r]->(n2).
+        * With both, (n1)-[r]-(n2), a relation matches once for each orientation, so a relation between two nodes that are not constrained by id is found twice. Count, delete and updateMany consider each relation once.
+        *
+        * @param {string} value - The direction: 'out', 'in' or 'both'.
+        * @returns {OGMNeoRelationQuery} This instance of query.
+        * @throws {Error} Will throw an error if the direction is invalid.
+    */
+    direction(value) {
+        if (!_.includes(directions, value)) {
+            throw new Error(`The relation direction must be one of ${directions.join(', ')}`);
+        }
+        this._direction = value;
+        return this;
+    }
+
     /**
         * Add startNode where constraint to this query object.
         *
@@ -135,6 +163,71 @@ class OGMNeoRelationQuery {
         return this;
     }
 
+    /**
+        * Add skip constraint to this query object.
+        *
+        * @param {integer} value - The number of values that should be skipped before the returned ones.
+        * @returns {OGMNeoRelationQuery} This instance of query.
+    */
+    skip(value) {
+        if (_.isInteger(value)) {
+            this._skip = value;
+        }
+        return this;
+    }
+
+    /**
+        * Orders this query by a relation property and the relation id, and if a cursor is provided only matches the relations after it. Relations without the property are not matched.
+        * The keyset order replaces the order by clauses.
+        *
+        * @param {string} property - The relation property to order by for.
+        * @param {string} [order='ASC'] - The order, ASC or DESC.
+        * @param {string} [cursor=null] - A cursor returned by cursorFor.
+        * @returns {OGMNeoRelationQuery} This instance of query.
+        * @throws {Error} Will throw an error if the property is not a non-empty string of word characters, the order is invalid or the cursor is invalid.
+    */
+    keyset(property, order = 'ASC', cursor = null) {
+        if (!_.isString(property) || !/^\w+$/.test(property)) {
+            throw new Error('The keyset property must be a non empty string with only word characters');
+        } else if (order !== 'ASC' && order !== 'DESC') {
+            throw new Error('The keyset order must be ASC or DESC');
+        }
+        this._keyset = {
+            property: property,
+            order: order,
+            values: (cursor != null) ? OGMObjectParse.decodeCursor(cursor) : null
+        };
+        return this;
+    }
+
+    /**
+        * The keyset cursor that points to a relation returned by this query.
+        *
+        * @param {object} relation - A relation returned by this query.
+        * @returns {string} The cursor or null if this query has no keyset.
+    */
+    cursorFor(relation) {
+        if (this._keyset == null || relation == null) {
+            return null;
+        }
+        return OGMObjectParse.encodeCursor([relation[this._keyset.property], relation.id]);
+    }
+
+    /**
+        * Add an order by clause with a direction for each key to this query object. It replaces the other order by clauses.
+        * A key can be a property name, an expression like 'size(n.tags)' or 'n1.name', a [key, direction] array or a [key, direction, nulls] array where nulls is FIRST or LAST.
+        *
+        * @param {array} keys - The order keys. Example: [['lastName', 'ASC'], ['age', 'DESC', 'LAST'], ['size(n.tags)', 'DESC']].
+        * @returns {OGMNeoRelationQuery} This instance of query.
+        * @throws {Error} Will throw an error if some key or direction is invalid.
+    */
+    orderBy(keys) {
+        this._orderBy = {
+            keys: OGMObjectParse.normalizeOrderKeys(keys)
+        };
+        return this;
+    }
+
     /**
     * Add DESCENDING order by clause to this query object.
     *
@@ -209,7 +302,20 @@ class OGMNeoRelationQuery {
         * @returns {string} This return an match cypher based on this query.
     */
     matchCypher() {
-        return `MATCH p=(${this._startNodeClause()})-[${this._relationClause()}]->(${this._endNodeClause()}) ${this.whereCypher()}`;
+        let direction = this._direction || 'out';
+        let left = (direction === 'in') ? '<-' : '-';
+        let right = (direction === 'out') ? '->' : '-';
+        return `MATCH p=(${this._startNodeClause()})${left}[${this._relationClause()}]${right}(${this._endNodeClause()}) ${this.whereCypher()}`;
+    }
+
+    /**
+        * Build cypher match clause where each matched relation is bound to r once, even on both directions.
+        *
+        * @returns {string} The match cypher based on this query.
+    */
+    matchRelationsCypher() {
+        let match = this.matchCypher().trim();
+        return (this._direction === 'both') ? `${match} WITH DISTINCT r` : match;
     }
     /**
         * Build cypher where cypher clause.
@@ -225,17 +331,53 @@ class OGMNeoRelationQuery {
             where = this._concatWhereClause(where, `ID(n2) = ${this._endNodeId}`);
         }
         if (this._relationWhere != null) {
-            where = this._concatWhereClause(where, this._relationWhere.clause);
+            where = this._concatWhereClause(where, this._groupedClause(this._relationWhere));
         }
         if (this._startNodeWhere != null) {
-            where = this._concatWhereClause(where, this._startNodeWhere.clause);
+            where = this._concatWhereClause(where, this._groupedClause(this._startNodeWhere));
         }
         if (this._endNodeWhere != null) {
-            where = this._concatWhereClause(where, this._endNodeWhere.clause);
+            where = this._concatWhereClause(where, this._groupedClause(this._endNodeWhere));
+        }
+        if (this._keyset != null) {
+            where = this._concatWhereClause(where, this._keysetClause());
         }
         return (where !== '') ? `WHERE ${where}` : '';
     }
 
+    /**
+     * The parameters referenced by the cypher of this query.
+     * @type {object}
+    */
+    get params() {
+        let wheres = [this._relationWhere, this._startNodeWhere, this._endNodeWhere];
+        let params = wheres.reduce((params, where) => {
+            return (where != null) ? _.assign(params, where.params) : params;
+        }, {});
+        if (this._keyset != null && this._keyset.values != null) {
+            params.keyset_value = OGMNeoTypes.toNeo4j(this._keyset.values[0]);
+            params.keyset_id = OGMObjectParse.idParam(this._keyset.values[1]);
+        }
+        return params;
+    }
+
+    // Relations after the cursor have a greater(or lower on DESC) property value, or the same value and a greater(or lower) id.
+    _keysetClause() {
+        let property = `r.${this._keyset.property}`;
+        let clause = `${property} IS NOT NULL`;
+        if (this._keyset.values != null) {
+            let operator = (this._keyset.order === 'ASC') ? '>' : '<';
+            clause += ` AND (${property} ${operator} {keyset_value} OR (${property} = {keyset_value} AND ID(r) ${operator} {keyset_id}))`;
+        }
+        return clause;
+    }
+
+    // Compound where clauses are parenthesized so they are not mixed up with the other AND constraints.
+    _groupedClause(where) {
+        let clause = where.clause;
+        return (where.conditions.length > 1 && clause !== '') ? `(${clause})` : clause;
+    }
+
     _concatWhereClause(whereClause, newClause) {
         return whereClause + ((whereClause !== '') ? ' AND ' : '') + newClause;
     }
@@ -247,11 +389,15 @@ class OGMNeoRelationQuery {
         return 'n2' + ((this._endNodeLabel != null) ? `:${this._endNodeLabel}` : '');
     }
     _relationClause() {
-        return 'r' + ((this.type != null) ? `:${this.type}` : '');
+        return 'r' + ((!_.isEmpty(this.types)) ? `:${this.types.join('|')}` : '');
     }
 
     returnClause(populated = false) {
         let returnClause = (this._returnRelation) ? this._returnRelation : 'r';
+        // Returned relation properties don't carry the type, so it's returned too when the relation can have many.
+        if (this._returnRelation && this.types.length > 1) {
+            returnClause += ', type(r)';
+        }
         if (populated) {
             returnClause += ', ' + ((this._returnStart) ? this._returnStart : 'n1');
             returnClause += ', ' + ((this._returnEnd) ? this._returnEnd : 'n2');
@@ -276,7 +422,12 @@ class OGMNeoRelationQuery {
 
     orderByClause() {
         let orderBy = '';
-        if (this._orderBy) {
+        if (this._keyset != null) {
+            let order = this._keyset.order;
+            return `ORDER BY r.${this._keyset.property} ${order}, ID(r) ${order}`;
+        } else if (this._orderBy && this._orderBy.keys) {
+            return `ORDER BY ${OGMObjectParse.orderKeysClause(this._orderBy.keys, 'r')}`;
+        } else if (this._orderBy) {
             orderBy = this._addOrderByClause(orderBy, this._orderBy.properties, 'r');
             orderBy = this._addOrderByClause(orderBy, this._orderBy.startNodeProperties, 'n1');
             orderBy = this._addOrderByClause(orderBy, this._orderBy.endNodeProperties, 'n2');
@@ -297,6 +448,10 @@ class OGMNeoRelationQuery {
         return (this._limit) ? `LIMIT ${this._limit}` : '';
     }
 
+    skipClause() {
+        return (this._skip) ? `SKIP ${this._skip}` : '';
+    }
+
     queryCypher() {
         return this._queryCypherBuilder(false);
     }
@@ -308,10 +463,14 @@ class OGMNeoRelationQuery {
     queryNodesCypher(nodes = 'both', distinct = false) {
         let query = `${this.matchCypher()} ${this.nodesReturnClause(nodes, distinct)}`;
         let orderBy = this.orderByClause();
+        let skip = this.skipClause();
         let limit = this.limitClause();
         if (orderBy !== '') {
             query += ` ${orderBy}`;
         }
+        if (skip !== '') {
+            query += ` ${skip}`;
+        }
         if (limit !== '') {
             query += ` ${limit}`;
         }
@@ -319,16 +478,29 @@ class OGMNeoRelationQuery {
     }
 
     countCypher() {
-        return `${this.matchCypher()} RETURN COUNT(r) as count`;
+        let distinct = (this._direction === 'both') ? 'DISTINCT ' : '';
+        return `${this.matchCypher()} RETURN COUNT(${distinct}r) as count`;
+    }
+
+    // On both directions a relation matches once for each order of its nodes, so only its first match is kept, with the nodes of that match.
+    _distinctMatchCypher() {
+        if (this._direction === 'both') {
+            return `${this.matchCypher().trim()} WITH r, head(collect(n1)) AS n1, head(collect(n2)) AS n2`;
+        }
+        return this.matchCypher();
     }
 
     _queryCypherBuilder(populated = false) {
-        let query = `${this.matchCypher()} ${this.returnClause(populated)}`;
+        let query = `${this._distinctMatchCypher()} ${this.returnClause(populated)}`;
         let orderBy = this.orderByClause();
+        let skip = this.skipClause();
         let limit = this.limitClause();
         if (orderBy !== '') {
             query += ` ${orderBy}`;
         }
+        if (skip !== '') {
+            query += ` ${skip}`;
+        }
         if (limit !== '') {
             query += ` ${limit}`;
         }
@@ -4,6 +4,8 @@ const OGMNeoObjectParse = require('./ogmneo-parse');
 const OGMNeoRelationQuery = require('./ogmneo-relation-query');
 const { OGMNeoOperation, OGMNeoOperationBuilder } = require('./ogmneo-operation');
 const OGMNeoOperationExecuter = require('./ogmneo-operation-executer');
+const OGMNeoHooks = require('./ogmneo-hooks');
+const OGMNeoPagination = require('./ogmneo-pagination');
 
 const _ = require('lodash');
 
@@ -12,20 +14,29 @@ const _ = require('lodash');
  */
 class OGMRelation {
     /**
-        * Creates a relation between two nodes if they both exists.
+        * Creates a relation between two nodes if they both exists. Runs the beforeCreate and afterCreate hooks of the relation type.
         *
         * @static
-        * @param {integer} nodeId - Id of the start node in the relation.
-        * @param {integer} otherNodeId - Id of the end node in the relation.
+        * @param {integer|string|bigint} nodeId - Id of the start node in the relation.
+        * @param {integer|string|bigint} otherNodeId - Id of the end node in the relation.
         * @param {string} type - Case sensitive relation type name.
         * @param {object} [properties={}] - Relation properties.
         * @param {bool} [unique=false] - If include unique clause on create statement.
-        * @returns {Promise.<object|Error>} Created relation literal object if fulfilled, or some neo4j error if rejected.
+        * @returns {Promise.<object|Error>} Created relation literal object if fulfilled, or some neo4j error or hook error if rejected.
     */
     static relate(nodeId, type, otherNodeId, properties = {}, unique = false) {
         try {
             let operation = this.relateOperation(nodeId, type, otherNodeId, properties, unique);
-            return OGMNeoOperationExecuter.execute(operation);
+            if (!OGMNeoHooks.hasRelationHooks(['beforeCreate', 'afterCreate'])) {
+                return OGMNeoOperationExecuter.execute(operation);
+            }
+            let context = { type: type, startNodeId: nodeId, endNodeId: otherNodeId };
+            return OGMNeoHooks.runRelationHooks(type, 'beforeCreate', _.assign({}, properties), context)
+                .then((value) => {
+                    return OGMNeoOperationExecuter.execute(this.relateOperation(nodeId, type, otherNodeId, value, unique));
+                }).then((created) => {
+                    return OGMNeoHooks.runRelationHooks(type, 'afterCreate', created, context);
+                });
         } catch (error) {
             return Promise.reject(error);
         }
@@ -35,8 +46,8 @@ class OGMRelation {
         * Operation that creates a relation between two nodes if they both exists.
         *
         * @static
-        * @param {integer} nodeId - First in relation node id.
-        * @param {integer} otherNodeId - Second in relation node id.
+        * @param {integer|string|bigint} nodeId - First in relation node id.
+        * @param {integer|string|bigint} otherNodeId - Second in relation node id.
         * @param {string} type - Case sensitive relation type name.
         * @param {object} [properties={}] - Relation properties.
         * @param {bool} [unique=false] - If include unique clause on create statement.
@@ -46,9 +57,9 @@ class OGMRelation {
     */
 
     static relateOperation(nodeId, type, otherNodeId, properties = {}, unique = false) {
-        OGMNeoObjectParse.parseProperties(properties);
         let value = _.omitBy(properties, _.isUndefined);
-        if (_.isInteger(nodeId) && _.isInteger(otherNodeId)) {
+        OGMNeoObjectParse.parseProperties(value);
+        if (OGMNeoObjectParse.isId(nodeId) && OGMNeoObjectParse.isId(otherNodeId)) {
             if (_.isString(type) && !_.isEmpty(type)) {
                 let uniqueQuery = (unique) ? 'UNIQUE' : '';
                 let cypher = `MATCH (n1) WHERE ID(n1)=${nodeId} ` +
@@ -76,8 +87,8 @@ class OGMRelation {
         * Merges a relation between two nodes if they both exists.
         *
         * @static
-        * @param {integer} nodeId - Id of the start node in the relation.
-        * @param {integer} otherNodeId - Id of the end node in the relation.
+        * @param {integer|string|bigint} nodeId - Id of the start node in the relation.
+        * @param {integer|string|bigint} otherNodeId - Id of the end node in the relation.
         * @param {string} type - Case sensitive relation type name.
         * @param {object} [properties={}] - Relation properties.
         * @param {bool} [unique=false] - If include unique clause on create statement.
@@ -96,8 +107,8 @@ class OGMRelation {
     * Operation that creates a relation between two nodes if they both exists.
     *
     * @static
-    * @param {integer} nodeId - First in relation node id.
-    * @param {integer} otherNodeId - Second in relation node id.
+    * @param {integer|string|bigint} nodeId - First in relation node id.
+    * @param {integer|string|bigint} otherNodeId - Second in relation node id.
     * @param {string} type - Case sensitive relation type name.
     * @param {object} [properties={}] - Relation properties.
     * @param {bool} [unique=false] - If include unique clause on create statement.
@@ -107,9 +118,9 @@ class OGMRelation {
 */
 
     static relateMergeOperation(nodeId, type, otherNodeId, properties = {}, unique = false) {
-        OGMNeoObjectParse.parseProperties(properties);
         let value = _.omitBy(properties, _.isUndefined);
-        if (_.isInteger(nodeId) && _.isInteger(otherNodeId)) {
+        OGMNeoObjectParse.parseProperties(value);
+        if (OGMNeoObjectParse.isId(nodeId) && OGMNeoObjectParse.isId(otherNodeId)) {
             if (_.isString(type) && !_.isEmpty(type)) {
                 let uniqueQuery = (unique) ? 'UNIQUE' : '';
                 let cypher = `MATCH (n1) WHERE ID(n1)=${nodeId} ` +
@@ -136,17 +147,28 @@ class OGMRelation {
 
 
     /**
-        * Update a relation propeties if it exists.
+        * Update a relation propeties if it exists. Runs the beforeUpdate and afterUpdate hooks of the relation type.
         *
         * @static
-        * @param {integer} relationId - Relation node id.
+        * @param {integer|string|bigint} relationId - Relation node id.
         * @param {object} newProperties - Relation NEW properties.
-        * @returns {Promise.<object|Error>} Updated relation literal object if fulfilled, or some neo4j error if rejected.
+        * @returns {Promise.<object|Error>} Updated relation literal object if fulfilled, or some neo4j error or hook error if rejected.
     */
     static update(relationId, newProperties) {
         try {
             let operation = this.updateOperation(relationId, newProperties);
-            return OGMNeoOperationExecuter.execute(operation);
+            if (!OGMNeoHooks.hasRelationHooks(['beforeUpdate', 'afterUpdate'])) {
+                return OGMNeoOperationExecuter.execute(operation);
+            }
+            return this._relationType(relationId).then((type) => {
+                let context = { type: type, id: relationId };
+                return OGMNeoHooks.runRelationHooks(type, 'beforeUpdate', _.assign({}, newProperties), context)
+                    .then((value) => {
+                        return OGMNeoOperationExecuter.execute(this.updateOperation(relationId, value));
+                    }).then((updated) => {
+                        return OGMNeoHooks.runRelationHooks(type, 'afterUpdate', updated, context);
+                    });
+            });
         } catch (error) {
             return Promise.reject(error);
         }
@@ -156,15 +178,15 @@ class OGMRelation {
         * Operation that updates a relation propeties if it exists.
         *
         * @static
-        * @param {integer} relationId - Relation node id.
+        * @param {integer|string|bigint} relationId - Relation node id.
         * @param {object} newProperties - Relation NEW properties.
         * @returns {OGMNeoOperation} Operation that creates the relation between nodes.
         * @throws {Error} Will throw an error if the id from relation node was not integer.
     */
     static updateOperation(relationId, newProperties) {
-        OGMNeoObjectParse.parseProperties(newProperties);
         let value = _.omitBy(newProperties, _.isUndefined);
-        if (_.isInteger(relationId)) {
+        OGMNeoObjectParse.parseProperties(value);
+        if (OGMNeoObjectParse.isId(relationId)) {
             let propertiesString = OGMNeoObjectParse.objectString(value);
             let cypher = 'MATCH p=(n1)-[r]->(n2) ' +
                 `WHERE ID(r)=${relationId} SET r+=${propertiesString} RETURN r`;
@@ -215,13 +237,13 @@ class OGMRelation {
             if (!_.isEmpty(value)) {
                 OGMNeoObjectParse.parseProperties(value);
                 if (query != null && query instanceof OGMNeoRelationQuery) {
-                    let cypherMatch = query.matchCypher();
+                    let cypherMatch = query.matchRelationsCypher();
                     let propertiesString = OGMNeoObjectParse.objectString(value);
                     let cypher = `${cypherMatch} SET r+=${propertiesString} RETURN r`;
                     return OGMNeoOperationBuilder.create()
                         .cypher(cypher)
                         .type(OGMNeoOperation.WRITE)
-                        .object(value)
+                        .object(_.assign({}, value, query.params))
                         .then((result) => {
                             return result.records.map(record => OGMNeoObjectParse.recordToRelation(record));
                         }).build();
@@ -265,6 +287,7 @@ class OGMRelation {
             let cypher = query.queryCypher();
             return OGMNeoOperationBuilder.create()
                 .cypher(cypher)
+                .object(query.params)
                 .type(OGMNeoOperation.READ)
                 .then((result) => {
                     return result.records.map(record => OGMNeoObjectParse.parseRelation(record));
@@ -275,6 +298,29 @@ class OGMRelation {
     }
 
 
+    /**
+        * Find a page of relation nodes. The query skip, limit and order are replaced by the pagination ones. Pages of a query without order are ordered by the relation id, so they don't repeat or miss relations.
+        * With the orderBy option the relations are paginated with a keyset cursor, that does not skip the previous relations and is faster for deep pages.
+        *
+        * @static
+        * @param {OGMNeoRelationQuery} query - Query filter.
+        * @param {object} [options={}] - The pagination options: page(default 1) and perPage(default 20), or orderBy(relation property), order('ASC' or 'DESC'), after(the next cursor of the previous page) and perPage on keyset mode.
+        * @returns {Promise.<object|Error>} {items, total, page, pages} or {items, next} on keyset mode, where next is the cursor of the next page or null, if fulfilled, or some neo4j error if rejected.
+    */
+    static paginate(query, options = {}) {
+        try {
+            if (!(query instanceof OGMNeoRelationQuery)) {
+                throw new Error('The query object can\'t be null and must be an instance of OGMNeoRelationQuery');
+            }
+            if (options.orderBy == null && query.orderByClause() === '') {
+                query.orderBy([['ID(r)', 'ASC']]);
+            }
+            return OGMNeoPagination.paginate(query, options, value => this.find(value), value => this.count(value));
+        } catch (error) {
+            return Promise.reject(error);
+        }
+    }
+
     /**
         * Find one relation node.
         *
@@ -343,6 +389,7 @@ class OGMRelation {
             let cypher = query.queryPopulatedCypher();
             return OGMNeoOperationBuilder.create()
                 .cypher(cypher)
+                .object(query.params)
                 .type(OGMNeoOperation.READ)
                 .then((result) => {
                     return result.records.map(record => OGMNeoObjectParse.recordToRelationPopulated(record));
@@ -424,6 +471,7 @@ class OGMRelation {
             let cypher = query.queryNodesCypher(nodes, distinct);
             return OGMNeoOperationBuilder.create()
                 .cypher(cypher)
+                .object(query.params)
                 .type(OGMNeoOperation.READ)
                 .then((result) => {
                     return result.records.map(record => OGMNeoObjectParse.recordToRelationStartEndNodes(record, nodes));
@@ -462,10 +510,11 @@ class OGMRelation {
             let cypher = query.countCypher();
             return OGMNeoOperationBuilder.create()
                 .cypher(cypher)
+                .object(query.params)
                 .type(OGMNeoOperation.READ)
                 .then((result) => {
                     let record = _.first(result.records);
-                    return (record != null) ? record.get('count').low : 0;
+                    return (record != null) ? OGMNeoObjectParse.parseCount(record.get('count')) : 0;
                 }).build();
         } else {
             throw new Error('The query object can\'t be null and must be an instance of OGMNeoRelationQuery');
@@ -491,16 +540,27 @@ class OGMRelation {
     }
 
     /**
-        * Delete relation by id.
+        * Delete relation by id. Runs the beforeDelete and afterDelete hooks of the relation type, the before hooks receive {id: relationId}.
         *
         * @static
-        * @param {integer} relationId - relation node id.
-        * @returns {Promise.<boolean|Error>} Deleted relation node if fulfilled, or some neo4j error if rejected.
+        * @param {integer|string|bigint} relationId - relation node id.
+        * @returns {Promise.<boolean|Error>} Deleted relation node if fulfilled, or some neo4j error or hook error if rejected.
     */
     static deleteRelation(relationId) {
         try {
             let operation = this.deleteRelationOperation(relationId);
-            return OGMNeoOperationExecuter.execute(operation);
+            if (!OGMNeoHooks.hasRelationHooks(['beforeDelete', 'afterDelete'])) {
+                return OGMNeoOperationExecuter.execute(operation);
+            }
+            return this._relationType(relationId).then((type) => {
+                let context = { type: type, id: relationId };
+                return OGMNeoHooks.runRelationHooks(type, 'beforeDelete', { id: relationId }, context)
+                    .then(() => {
+                        return OGMNeoOperationExecuter.execute(operation);
+                    }).then((deleted) => {
+                        return OGMNeoHooks.runRelationHooks(type, 'afterDelete', deleted, context);
+                    });
+            });
         } catch (error) {
             return Promise.reject(error);
         }
@@ -511,12 +571,12 @@ class OGMRelation {
         * Operation that deletes a relation by id.
         *
         * @static
-        * @param {integer} relationId - relation node id.
+        * @param {integer|string|bigint} relationId - relation node id.
         * @returns {OGMNeoOperation} Operation that deletes a node with id.
         * @throws {Error} Will throw an error if the relation id was not an integer value.
     */
     static deleteRelationOperation(relationId) {
-        if (_.isInteger(relationId)) {
+        if (OGMNeoObjectParse.isId(relationId)) {
             let cypher = `MATCH p=(n1)-[r]->(n2) WHERE ID(r)=${relationId} DELETE r RETURN r`;
             return OGMNeoOperationBuilder.create().cypher(cypher)
                 .type(OGMNeoOperation.WRITE)
@@ -555,10 +615,11 @@ class OGMRelation {
     */
     static deleteManyOperation(query) {
         if (query != null && query instanceof OGMNeoRelationQuery) {
-            let cypherMatch = query.matchCypher();
+            let cypherMatch = query.matchRelationsCypher();
             let cypher = `${cypherMatch} DELETE r RETURN r`;
             return OGMNeoOperationBuilder.create()
                 .cypher(cypher)
+                .object(query.params)
                 .type(OGMNeoOperation.WRITE)
                 .then((result) => {
                     return result.records.map(record => OGMNeoObjectParse.recordToRelation(record));
@@ -567,6 +628,17 @@ class OGMRelation {
             throw new Error('The query object can\'t be null and must be an instance of OGMNeoRelationQuery');
         }
     }
+
+    static _relationType(relationId) {
+        let operation = OGMNeoOperationBuilder.create()
+            .cypher(`MATCH ()-[r]->() WHERE ID(r)=${relationId} RETURN type(r) AS type`)
+            .type(OGMNeoOperation.READ)
+            .then((result) => {
+                let record = _.first(result.records);
+                return (record != null) ? record.get('type') : null;
+            }).build();
+        return OGMNeoOperationExecuter.execute(operation);
+    }
 }
 
 module.exports = OGMRelation;
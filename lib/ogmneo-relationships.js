@@ -0,0 +1,126 @@
+'use strict';
+
+const _ = require('lodash');
+
+const directions = ['out', 'in', 'both'];
+
+var relationships = {};
+
+/**
+    * @class OGMNeoRelationships
+ */
+class OGMNeoRelationships {
+
+    /**
+        * Declares that nodes with a label have many related nodes, populated as an array.
+        *
+        * @static
+        * @param {string} label - The label of the nodes that own the relationship.
+        * @param {string} target - The label of the related nodes.
+        * @param {string} type - The relation type.
+        * @param {string} [direction='out'] - The relation direction from the owner nodes: 'out', 'in' or 'both'.
+        * @param {string} [name=null] - The name of the populated property. Default is the plural camel case target, e.g. 'posts' for 'Post'.
+        * @returns {object} The relationship definition.
+        * @throws {Error} Will throw an error if some parameter is invalid.
+    */
+    static hasMany(label, target, type, direction = 'out', name = null) {
+        return this._define(label, target, type, direction, name || `${_.camelCase(target)}s`, true);
+    }
+
+    /**
+        * Declares that nodes with a label have one related node, populated as an object or null.
+        *
+        * @static
+        * @param {string} label - The label of the nodes that own the relationship.
+        * @param {string} target - The label of the related node.
+        * @param {string} type - The relation type.
+        * @param {string} [direction='out'] - The relation direction from the owner nodes: 'out', 'in' or 'both'.
+        * @param {string} [name=null] - The name of the populated property. Default is the camel case target, e.g. 'profile' for 'Profile'.
+        * @returns {object} The relationship definition.
+        * @throws {Error} Will throw an error if some parameter is invalid.
+    */
+    static hasOne(label, target, type, direction = 'out', name = null) {
+        return this._define(label, target, type, direction, name || _.camelCase(target), false);
+    }
+
+    /**
+        * The relationship declared with a name for a label.
+        *
+        * @static
+        * @param {string} label - The label of the nodes that own the relationship.
+        * @param {string} name - The relationship name.
+        * @returns {object} The relationship definition or undefined if not declared.
+    */
+    static relationship(label, name) {
+        return _.get(relationships, [label, name]);
+    }
+
+    /**
+        * Every relationship declared for a label keyed by name.
+        *
+        * @static
+        * @param {string} label - The label of the nodes that own the relationships.
+        * @returns {object} The relationships definitions.
+    */
+    static relationships(label) {
+        return _.assign({}, relationships[label]);
+    }
+
+    /**
+        * Removes every declared relationship.
+        *
+        * @static
+    */
+    static clear() {
+        relationships = {};
+    }
+
+    /**
+        * Resolves populate paths like ['posts', 'posts.comments'] into a tree of relationships with the cypher aliases for each one.
+        *
+        * @static
+        * @param {string} label - The label of the root nodes.
+        * @param {string|array} paths - The relationship paths to be populated.
+        * @param {string} [variable='n'] - The cypher variable of the root nodes.
+        * @returns {object} The populate tree.
+        * @throws {Error} Will throw an error if some path uses a relationship that was not declared.
+    */
+    static populateTree(label, paths, variable = 'n') {
+        let tree = {};
+        _.castArray(paths).forEach((path) => {
+            if (!_.isString(path) || _.isEmpty(path)) {
+                throw new Error('The populate paths must be non empty strings');
+            }
+            let branches = tree;
+            let currentLabel = label;
+            let currentAlias = variable;
+            path.split('.').forEach((name) => {
+                let relationship = this.relationship(currentLabel, name);
+                if (relationship == null) {
+                    throw new Error(`The relationship ${name} was not declared for label ${currentLabel}`);
+                }
+                let alias = `${currentAlias}_${name}`;
+                branches[name] = branches[name] || { alias: alias, variable: `${alias}_node`, relationship: relationship, children: {} };
+                branches = branches[name].children;
+                currentLabel = relationship.target;
+                currentAlias = alias;
+            });
+        });
+        return tree;
+    }
+
+    static _define(label, target, type, direction, name, many) {
+        if (!_.isString(label) || _.isEmpty(label) || !_.isString(target) || _.isEmpty(target)) {
+            throw new Error('The relationship label and target must be non empty strings');
+        } else if (!_.isString(type) || _.isEmpty(type)) {
+            throw new Error('A relationship type must be specified');
+        } else if (!_.includes(directions, direction)) {
+            throw new Error(`The relationship direction must be one of ${directions.join(', ')}`);
+        }
+        let relationship = { name: name, target: target, type: type, direction: direction, many: many };
+        _.set(relationships, [label, name], relationship);
+        return relationship;
+    }
+}
+
+module.exports = OGMNeoRelationships;
@@ -0,0 +1,165 @@
+'use strict';
+
+const _ = require('lodash');
+const neo4j = require('neo4j-driver').v1;
+const OGMNeoTypes = require('./ogmneo-types');
+const OGMNeoValidationError = require('./ogmneo-validation-error');
+
+const propertyTypes = ['string', 'number', 'integer', 'float', 'boolean', 'date', 'array', 'object'];
+
+/**
+    * @class OGMNeoSchema
+ */
+class OGMNeoSchema {
+
+    /**
+        * Normalizes properties definitions. Each definition can be a type name or an object with the type and the validation rules:
+        required(boolean), enum(array of allowed values), min and max(value for numbers and dates, length for strings and arrays), regex(RegExp for strings), validate(function that returns true, false or an error message)
+        and storage(json or flatten for objects, default json, see OGMNeoMapProperties). The index, unique and exists booleans declare the indexes and constraints of the property for OGMNeoIndex.sync.
+        *
+        * @static
+        * @param {object} schema - The properties definitions. Example: { name: {type: 'string', required: true}, age: 'integer' }.
+        Possible types are: string, number, integer, float, boolean, date, array and object.
+        * @returns {object} The definitions as objects.
+        * @throws {Error} Will throw an error if the schema is not an object or some definition is invalid.
+    */
+    static normalize(schema) {
+        if (!_.isPlainObject(schema)) {
+            throw new Error('The model schema must be an object');
+        }
+        return _.mapValues(schema, (definition, property) => {
+            let normalized = _.isString(definition) ? { type: definition } : _.assign({}, definition);
+            if (!_.includes(propertyTypes, normalized.type)) {
+                throw new Error(`Unknown type ${normalized.type} for property ${property}`);
+            }
+            if (normalized.enum != null && !_.isArray(normalized.enum)) {
+                throw new Error(`The enum of property ${property} must be an array`);
+            }
+            if (normalized.regex != null && !_.isRegExp(normalized.regex)) {
+                throw new Error(`The regex of property ${property} must be a RegExp`);
+            }
+            if (normalized.validate != null && !_.isFunction(normalized.validate)) {
+                throw new Error(`The validate of property ${property} must be a function`);
+            }
+            if (normalized.type === 'object') {
+                normalized.storage = normalized.storage || 'json';
+            }
+            return normalized;
+        });
+    }
+
+    /**
+        * Validates properties against normalized definitions, coercing strings to the declared number, integer, float, boolean or date types.
+        * Properties that are not declared on the schema are kept as they are.
+        *
+        * @static
+        * @param {object} schema - The normalized properties definitions.
+        * @param {object} properties - The literal object to be validated.
+        * @param {boolean} [partial=false] - If true only the present properties are validated, as in updates.
+        * @returns {object} A copy of the properties with coerced values.
+        * @throws {OGMNeoValidationError} Will throw an error listing every failing property.
+    */
+    static validate(schema, properties, partial = false) {
+        let value = _.assign({}, properties);
+        let errors = [];
+        _.forIn(schema, (definition, property) => {
+            if (partial && !_.has(value, property)) {
+                return;
+            }
+            if (_.isNil(value[property])) {
+                if (definition.required) {
+                    errors.push({ property: property, message: `${property} is required` });
+                }
+                return;
+            }
+            value[property] = this._coerce(definition.type, value[property]);
+            let message = this._validateProperty(definition, property, value[property], value);
+            if (message != null) {
+                errors.push({ property: property, message: message });
+            }
+        });
+        if (!_.isEmpty(errors)) {
+            throw new OGMNeoValidationError(errors);
+        }
+        return value;
+    }
+
+    static _coerce(type, value) {
+        if (type === 'date' && (_.isString(value) || _.isNumber(value))) {
+            let date = new Date(value);
+            return _.isNaN(date.getTime()) ? value : date;
+        } else if (!_.isString(value) || _.trim(value) === '') {
+            return value;
+        } else if (type === 'integer' && /^[-+]?\d+$/.test(_.trim(value))) {
+            return _.toNumber(value);
+        } else if ((type === 'number' || type === 'float') && _.isFinite(_.toNumber(value))) {
+            return _.toNumber(value);
+        } else if (type === 'boolean' && (value === 'true' || value === 'false')) {
+            return value === 'true';
+        }
+        return value;
+    }
+
+    static _validateProperty(definition, property, value, properties) {
+        if (!this._isType(definition.type, value)) {
+            return `${property} must be ${(definition.type === 'integer' || definition.type === 'array') ? 'an' : 'a'} ${definition.type}`;
+        }
+        if (definition.enum != null && !_.some(definition.enum, allowed => _.isEqual(allowed, value))) {
+            return `${property} must be one of ${definition.enum.join(', ')}`;
+        }
+        let measure = this._measure(value);
+        if (definition.min != null && measure < this._measure(definition.min)) {
+            return `${property} must be at least ${definition.min}`;
+        }
+        if (definition.max != null && measure > this._measure(definition.max)) {
+            return `${property} must be at most ${definition.max}`;
+        }
+        if (definition.regex != null && _.isString(value) && !definition.regex.test(value)) {
+            return `${property} must match ${definition.regex}`;
+        }
+        if (definition.validate != null) {
+            let result = definition.validate(value, properties);
+            if (result !== true) {
+                return _.isString(result) ? result : `${property} is invalid`;
+            }
+        }
+        return null;
+    }
+
+    static _isType(type, value) {
+        switch (type) {
+        case 'string':
+            return _.isString(value);
+        case 'integer':
+            // Integers read with the bigint integer strategy, or as neo4j integers, are integers too
+            return _.isInteger(value) || OGMNeoTypes.isBigInt(value) || neo4j.isInt(value);
+        case 'number':
+        case 'float':
+            return _.isFinite(value);
+        case 'boolean':
+            return _.isBoolean(value);
+        case 'date':
+            return _.isDate(value) && !_.isNaN(value.getTime());
+        case 'array':
+            return _.isArray(value);
+        case 'object':
+            return _.isPlainObject(value);
+        default:
+            return false;
+        }
+    }
+
+    // Numbers and dates are compared by value, strings and arrays by length.
+    static _measure(value) {
+        if (_.isDate(value)) {
+            return value.getTime();
+        } else if (neo4j.isInt(value)) {
+            return value.toNumber();
+        } else if (_.isString(value) || _.isArray(value)) {
+            return value.length;
+        }
+        return value;
+    }
+}
+
+module.exports = OGMNeoSchema;
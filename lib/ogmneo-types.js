@@ -0,0 +1,257 @@
+'use strict';
+
+const _ = require('lodash');
+const neo4j = require('neo4j-driver').v1;
+const OGMNeo = require('./ogmneo');
+
+const wgs84Srid = 4326;
+const wgs84HeightSrid = 4979;
+const cartesianSrid = 7203;
+const cartesianHeightSrid = 9157;
+
+/**
+    * @class OGMNeoTypes
+ */
+class OGMNeoTypes {
+
+    /**
+        * Creates a neo4j DateTime with the instant and the time zone offset of a javascript Date.
+        *
+        * @static
+        * @param {Date} date - The javascript date.
+        * @returns {object} The neo4j DateTime.
+        * @throws {Error} Will throw an error if date is not a valid Date.
+    */
+    static dateTime(date) {
+        return neo4j.types.DateTime.fromStandardDate(this._validDate(date));
+    }
+
+    /**
+        * Creates a neo4j Date with the local year, month and day of a javascript Date.
+        *
+        * @static
+        * @param {Date} date - The javascript date.
+        * @returns {object} The neo4j Date.
+        * @throws {Error} Will throw an error if date is not a valid Date.
+    */
+    static date(date) {
+        return neo4j.types.Date.fromStandardDate(this._validDate(date));
+    }
+
+    /**
+        * Creates a neo4j LocalDateTime with the local date and time of a javascript Date.
+        *
+        * @static
+        * @param {Date} date - The javascript date.
+        * @returns {object} The neo4j LocalDateTime.
+        * @throws {Error} Will throw an error if date is not a valid Date.
+    */
+    static localDateTime(date) {
+        return neo4j.types.LocalDateTime.fromStandardDate(this._validDate(date));
+    }
+
+    /**
+        * Creates a neo4j Duration.
+        *
+        * @static
+        * @param {object} duration - The duration components: months, days, seconds and nanoseconds. Missing components are zero.
+        * @returns {object} The neo4j Duration.
+    */
+    static duration(duration) {
+        let value = _.defaults({}, duration, { months: 0, days: 0, seconds: 0, nanoseconds: 0 });
+        return new neo4j.types.Duration(value.months, value.days, value.seconds, value.nanoseconds);
+    }
+
+    /**
+        * Creates a neo4j geographic Point.
+        *
+        * @static
+        * @param {number} latitude - The latitude in degrees.
+        * @param {number} longitude - The longitude in degrees.
+        * @param {number} [height=null] - The height in meters, for 3D points.
+        * @returns {object} The neo4j Point.
+        * @throws {Error} Will throw an error if latitude or longitude is not a finite number.
+    */
+    static point(latitude, longitude, height = null) {
+        if (!_.isFinite(latitude) || !_.isFinite(longitude) || (height != null && !_.isFinite(height))) {
+            throw new Error('The point latitude, longitude and height must be finite numbers');
+        }
+        if (height != null) {
+            return new neo4j.types.Point(wgs84HeightSrid, longitude, latitude, height);
+        }
+        return new neo4j.types.Point(wgs84Srid, longitude, latitude);
+    }
+
+    /**
+        * Converts a value to be stored on neo4j. Dates are stored as epoch milliseconds, or as DateTime when native types are enabled, and bigints as neo4j integers.
+        * With native types enabled, objects like {latitude, longitude, height} or {x, y, z} are stored as Points. The items of arrays are converted too.
+        *
+        * @static
+        * @param {any} value - The javascript value.
+        * @returns {any} The value to be stored.
+    */
+    static toNeo4j(value) {
+        if (_.isArray(value)) {
+            return value.map(item => this.toNeo4j(item));
+        } else if (this.isBigInt(value)) {
+            return neo4j.int(value.toString());
+        } else if (_.isDate(value)) {
+            return (OGMNeo.nativeTypesEnabled) ? this.dateTime(value) : value.getTime();
+        } else if (OGMNeo.nativeTypesEnabled && this.isPointLike(value)) {
+            return this.toPoint(value);
+        }
+        return value;
+    }
+
+    /**
+        * Converts a neo4j temporal or spatial value that was read. DateTime, LocalDateTime and Date become javascript Dates,
+        * geographic Points become {latitude, longitude, height} and cartesian Points become {x, y, z}. Durations, Times and LocalTimes are kept as they are.
+        * DateTimes with only a time zone id are resolved with the offset of that zone at their local time.
+        *
+        * @static
+        * @param {any} value - The neo4j value.
+        * @returns {any} The javascript value.
+        * @throws {Error} Will throw an error if the time zone id of some DateTime is not supported.
+    */
+    static fromNeo4j(value) {
+        if (neo4j.isDateTime(value)) {
+            let local = Date.UTC(...this._dateComponents(value));
+            if (value.timeZoneOffsetSeconds == null && value.timeZoneId != null) {
+                return new Date(this._zonedTime(local, value.timeZoneId));
+            }
+            let offset = (value.timeZoneOffsetSeconds != null) ? this._number(value.timeZoneOffsetSeconds) : 0;
+            return new Date(local - offset * 1000);
+        } else if (neo4j.isLocalDateTime(value) || neo4j.isDate(value)) {
+            return new Date(...this._dateComponents(value));
+        } else if (neo4j.isPoint(value)) {
+            return this._pointObject(value);
+        }
+        return value;
+    }
+
+    /**
+        * True if the value is a javascript bigint. Node.js versions without BigInt never have bigint values.
+        *
+        * @static
+        * @param {any} value - The value.
+        * @returns {boolean} If the value is a bigint.
+    */
+    static isBigInt(value) {
+        return Object.prototype.toString.call(value) === '[object BigInt]';
+    }
+
+    /**
+        * True if the value is a neo4j temporal or spatial value.
+        *
+        * @static
+        * @param {any} value - The value.
+        * @returns {boolean} If the value is a neo4j temporal or spatial value.
+    */
+    static isNeo4jType(value) {
+        return neo4j.isDateTime(value) || neo4j.isLocalDateTime(value) || neo4j.isDate(value) ||
+            neo4j.isDuration(value) || neo4j.isTime(value) || neo4j.isLocalTime(value) || neo4j.isPoint(value);
+    }
+
+    /**
+        * True if the value is a neo4j Point or an object with exactly the coordinates keys of a point, {latitude, longitude, height} or {x, y, z} with optional height and z.
+        * Any other map is not converted to a Point.
+        *
+        * @static
+        * @param {any} value - The value.
+        * @returns {boolean} If the value can be converted to a Point.
+    */
+    static isPointLike(value) {
+        if (neo4j.isPoint(value)) {
+            return true;
+        } else if (!_.isPlainObject(value)) {
+            return false;
+        }
+        let keys = _.keys(value).sort();
+        return _.isEqual(keys, ['latitude', 'longitude']) || _.isEqual(keys, ['height', 'latitude', 'longitude']) ||
+            _.isEqual(keys, ['x', 'y']) || _.isEqual(keys, ['x', 'y', 'z']);
+    }
+
+    /**
+        * Converts an object like {latitude, longitude, height} to a geographic Point or like {x, y, z} to a cartesian Point. Points are kept as they are.
+        *
+        * @static
+        * @param {object} value - The point object.
+        * @returns {object} The neo4j Point.
+        * @throws {Error} Will throw an error if the value is not a point object or some coordinate is not a finite number.
+    */
+    static toPoint(value) {
+        if (neo4j.isPoint(value)) {
+            return value;
+        } else if (!this.isPointLike(value)) {
+            throw new Error('The point must be an object like {latitude, longitude, height} or {x, y, z}');
+        } else if (_.has(value, 'latitude')) {
+            return this.point(value.latitude, value.longitude, value.height);
+        }
+        if (!_.isFinite(value.x) || !_.isFinite(value.y) || (value.z != null && !_.isFinite(value.z))) {
+            throw new Error('The point x, y and z must be finite numbers');
+        }
+        return (value.z != null) ? new neo4j.types.Point(cartesianHeightSrid, value.x, value.y, value.z) : new neo4j.types.Point(cartesianSrid, value.x, value.y);
+    }
+
+    static _pointObject(point) {
+        let srid = this._number(point.srid);
+        if (srid === wgs84Srid || srid === wgs84HeightSrid) {
+            let obj = { latitude: point.y, longitude: point.x };
+            if (point.z != null) {
+                obj.height = point.z;
+            }
+            return obj;
+        }
+        let obj = { x: point.x, y: point.y };
+        if (point.z != null) {
+            obj.z = point.z;
+        }
+        return obj;
+    }
+
+    // Temporal components can be neo4j integers when read, date components are [year, monthIndex, day, hour, minute, second, millisecond]
+    static _dateComponents(value) {
+        let components = [this._number(value.year), this._number(value.month) - 1, this._number(value.day)];
+        if (value.hour != null) {
+            components.push(this._number(value.hour), this._number(value.minute), this._number(value.second), Math.floor(this._number(value.nanosecond) / 1000000));
+        }
+        return components;
+    }
+
+    // The offset of a time zone id changes with daylight saving, so it is resolved at the instant and checked again after the shift.
+    static _zonedTime(local, timeZoneId) {
+        let time = local - this._zoneOffset(local, timeZoneId);
+        let offset = this._zoneOffset(time, timeZoneId);
+        return local - offset;
+    }
+
+    // The offset in milliseconds of a time zone id at an instant, from the wall clock time formatted in the zone.
+    static _zoneOffset(time, timeZoneId) {
+        let format;
+        try {
+            format = new Intl.DateTimeFormat('en-US', {
+                timeZone: timeZoneId, hour12: false,
+                year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric', second: 'numeric'
+            });
+        } catch (error) {
+            throw new Error(`The DateTime time zone ${timeZoneId} is not supported`);
+        }
+        let parts = _.fromPairs(format.formatToParts(new Date(time)).map(part => [part.type, part.value]));
+        let seconds = Math.floor(time / 1000) * 1000;
+        let wallClock = Date.UTC(_.toNumber(parts.year), _.toNumber(parts.month) - 1, _.toNumber(parts.day), _.toNumber(parts.hour) % 24, _.toNumber(parts.minute), _.toNumber(parts.second));
+        return wallClock - seconds;
+    }
+
+    static _number(value) {
+        return neo4j.integer.toNumber(value);
+    }
+
+    static _validDate(date) {
+        if (!_.isDate(date) || _.isNaN(date.getTime())) {
+            throw new Error('A valid Date must be provided');
+        }
+        return date;
+    }
+}
+
+module.exports = OGMNeoTypes;
@@ -0,0 +1,21 @@
+'use strict';
+
+/**
+    * @class OGMNeoValidationError
+ */
+class OGMNeoValidationError extends Error {
+
+    /**
+        * Constructs a validation error with every failing property.
+        *
+        * @constructor
+        * @param {array} errors - The failures, each one a literal object like {property: 'name', message: 'name is required'}.
+    */
+    constructor(errors) {
+        super(`Validation failed: ${errors.map(error => error.message).join(', ')}`);
+        this.name = 'OGMNeoValidationError';
+        this.errors = errors;
+    }
+}
+
+module.exports = OGMNeoValidationError;
@@ -1,6 +1,40 @@
 'use strict';
 
 const _ = require('lodash');
+const OGMNeoTypes = require('./ogmneo-types');
+
+const conditionsMap = {
+    $eq: '=',
+    $lt: '<',
+    $lte: '<=',
+    $gt: '>',
+    $gte: '>=',
+    $ne: '<>',
+    $regex: '=~',
+    $startsWith: 'STARTS WITH',
+    $endsWith: 'ENDS WITH',
+    $contains: 'CONTAINS',
+    $in: 'IN',
+    $nin: 'NOT IN',
+    $exists: 'EXISTS',
+    $isNull: 'IS NULL',
+    $between: 'BETWEEN',
+    $iEq: '=',
+    $iStartsWith: 'STARTS WITH',
+    $iEndsWith: 'ENDS WITH',
+    $iContains: 'CONTAINS',
+    $all: 'ALL',
+    $any: 'ANY',
+    $size: 'SIZE',
+    $elemMatch: 'ELEM MATCH',
+    $withinDistance: 'WITHIN DISTANCE'
+};
+
+// Conditions on list properties. $elemMatch applies its filters to each element of the list.
+const listOperators = ['ALL', 'ANY', 'SIZE', 'ELEM MATCH'];
+
+// Conditions that compare the lower case versions of the property and the value.
+const caseInsensitiveConditions = ['$iEq', '$iStartsWith', '$iEndsWith', '$iContains'];
 
 /**
     * @class OGMNeoWhere
@@ -13,15 +47,15 @@ class OGMNeoWhere {
         * @constructor
         * @param {string=} property - Name of the property that the filter will be applied.
         * @param {object} filter - Filter that will be applied. Example: {$eq: 'v'}. 
-        Possible filters are: $eq(equals), $lt(lessThan),$lte(lessThanOrEqual), $gt(greaterThan), $gte(greaterThanOrEqual), $ne(not equals) and for string properties $regex, $startswith, $endswith and $contains.
+        Possible filters are: $eq(equals), $lt(lessThan),$lte(lessThanOrEqual), $gt(greaterThan), $gte(greaterThanOrEqual), $ne(not equals), $in, $nin(not in), $exists, $isNull, $between([min, max] inclusive), for list properties $all, $any, $size and $elemMatch and for string properties $regex, $startswith, $endswith, $contains and their case-insensitive versions $iEq, $iStartsWith, $iEndsWith and $iContains, and for point properties $withinDistance([point, distance] where point is like {latitude, longitude} and distance is in meters, or in units for cartesian points).
     */
     constructor(property, filter) {
         this._variable = 'n';
         this._clause = '';
         this._conditions = [];
-        let obj = {};
-        obj[property] = filter;
-        this._appendCondition('', property, filter);
+        if (property != null) {
+            this._appendCondition('', property, filter);
+        }
     }
 
     /**
@@ -30,55 +64,187 @@ class OGMNeoWhere {
         * @static
         * @param {string=} property - Name of the property that the filter will be applied.
         * @param {object} filter - Filter that will be applied. Example: {$eq: 'v'}. 
-        Possible filters are: $eq(equals), $lt(lessThan),$lte(lessThanOrEqual), $gt(greaterThan), $gte(greaterThanOrEqual), $ne(not equals) and for string properties $regex, $startswith, $endswith and $contains.
+        Possible filters are: $eq(equals), $lt(lessThan),$lte(lessThanOrEqual), $gt(greaterThan), $gte(greaterThanOrEqual), $ne(not equals), $in, $nin(not in), $exists, $isNull, $between([min, max] inclusive), for list properties $all, $any, $size and $elemMatch and for string properties $regex, $startswith, $endswith, $contains and their case-insensitive versions $iEq, $iStartsWith, $iEndsWith and $iContains, and for point properties $withinDistance([point, distance] where point is like {latitude, longitude} and distance is in meters, or in units for cartesian points).
         * @returns {OGMNeoWhere} Created query with label.
+        * @throws {Error} Will throw an error if the property is not a non empty string or some filter value is undefined.
     */
     static create(property, filter) {
         return new OGMNeoWhere(property, filter);
     }
 
+    /**
+        * Creates a where object that requires all the given where objects to match. Each one is evaluated as a parenthesized group.
+        *
+        * @static
+        * @param {...OGMNeoWhere} wheres - The where objects to be combined.
+        * @returns {OGMNeoWhere} Created where group.
+        * @throws {Error} Will throw an error if no where was provided or some of them is not an instance of OGMNeoWhere.
+    */
+    static and(...wheres) {
+        return this._group('AND', wheres);
+    }
+
+    /**
+        * Creates a where object that requires at least one of the given where objects to match. Each one is evaluated as a parenthesized group.
+        *
+        * @static
+        * @param {...OGMNeoWhere} wheres - The where objects to be combined.
+        * @returns {OGMNeoWhere} Created where group.
+        * @throws {Error} Will throw an error if no where was provided or some of them is not an instance of OGMNeoWhere.
+    */
+    static or(...wheres) {
+        return this._group('OR', wheres);
+    }
+
+    /**
+        * Creates a where object that negates the given where object.
+        *
+        * @static
+        * @param {OGMNeoWhere} where - The where object to be negated.
+        * @returns {OGMNeoWhere} Created where group.
+        * @throws {Error} Will throw an error if where is not an instance of OGMNeoWhere.
+    */
+    static not(where) {
+        let group = this._group('', [where]);
+        _.first(group.conditions).negated = true;
+        return group;
+    }
+
+    /**
+        * Compiles a filter document into a where object. Properties are ANDed, a property value can be a literal (equality) or an object with filters, e.g. {$gt: 18}.
+        * The logical operators $and, $or and $nor take an array of filter documents and $not takes a filter document (or filters, when used inside a property), at any depth.
+        *
+        * @static
+        * @param {object} filter - The filter document. Example: { age: {$gt: 18}, $or: [{name: 'a'}, {name: {$startsWith: 'b'}}] }.
+        * @returns {OGMNeoWhere} Created where object.
+        * @throws {Error} Will throw an error if the filter is not an object, uses an unknown operator or has some undefined value.
+    */
+    static fromFilter(filter) {
+        if (!_.isPlainObject(filter)) {
+            throw new Error('The filter must be an object');
+        }
+        let wheres = _.map(filter, (value, key) => this._whereForFilterEntry(key, value));
+        if (_.isEmpty(wheres)) {
+            return new OGMNeoWhere();
+        }
+        return (wheres.length === 1) ? _.first(wheres) : this.and(...wheres);
+    }
+
+    static _whereForFilterEntry(key, value) {
+        switch (key) {
+        case '$and':
+            return this.and(...this._filtersArray(key, value));
+        case '$or':
+            return this.or(...this._filtersArray(key, value));
+        case '$nor':
+            return this.not(this.or(...this._filtersArray(key, value)));
+        case '$not':
+            return this.not(this.fromFilter(value));
+        default:
+            if (_.startsWith(key, '$')) {
+                throw new Error(`Unknown filter operator ${key}`);
+            }
+            return this._whereForProperty(key, value);
+        }
+    }
+
+    static _filtersArray(operator, filters) {
+        if (!_.isArray(filters) || _.isEmpty(filters)) {
+            throw new Error(`The ${operator} operator must receive a non empty array of filters`);
+        }
+        return filters.map(filter => this.fromFilter(filter));
+    }
+
+    static _whereForProperty(property, value) {
+        let isFiltersObject = _.isPlainObject(value) && _.some(_.keys(value), key => _.startsWith(key, '$'));
+        if (!isFiltersObject) {
+            return new OGMNeoWhere(property, { $eq: value });
+        }
+        let filters = _.omit(value, '$not');
+        _.keys(filters).forEach((key) => {
+            if (!_.has(conditionsMap, key)) {
+                throw new Error(`Unknown filter operator ${key} on property ${property}`);
+            }
+        });
+        let wheres = [];
+        if (!_.isEmpty(filters)) {
+            wheres.push(new OGMNeoWhere(property, filters));
+        }
+        if (_.has(value, '$not')) {
+            wheres.push(this.not(this._whereForProperty(property, value.$not)));
+        }
+        return (wheres.length === 1) ? _.first(wheres) : this.and(...wheres);
+    }
+
+    static _group(operator, wheres) {
+        if (_.isEmpty(wheres) || !_.every(wheres, where => where instanceof OGMNeoWhere)) {
+            throw new Error('You must provide at least one where and all of them must be instances of OGMNeoWhere');
+        }
+        let group = new OGMNeoWhere();
+        wheres.forEach((where, index) => {
+            group._appendGroup((index === 0) ? '' : operator, where);
+        });
+        return group;
+    }
+
     /**
         * Add AND filter constraint to this query object.
         *
-        * @param {string} property - Name of the property that the filter will be applied.
+        * @param {string|OGMNeoWhere} property - Name of the property that the filter will be applied, or a where object that will be added as a parenthesized group.
         * @param {object} filter - Filter that will be applied. Example: {$eq: 'v'}. 
-        Possible filters are: $eq(equals), $lt(lessThan),$lte(lessThanOrEqual), $gt(greaterThan), $gte(greaterThanOrEqual), $ne(not equals) and for string properties $regex, $startswith, $endswith and $contains
+        Possible filters are: $eq(equals), $lt(lessThan),$lte(lessThanOrEqual), $gt(greaterThan), $gte(greaterThanOrEqual), $ne(not equals), $in, $nin(not in), $exists, $isNull, $between([min, max] inclusive), for list properties $all, $any, $size and $elemMatch and for string properties $regex, $startswith, $endswith, $contains and their case-insensitive versions $iEq, $iStartsWith, $iEndsWith and $iContains, and for point properties $withinDistance([point, distance] where point is like {latitude, longitude} and distance is in meters, or in units for cartesian points)
         * @returns {OGMNeoWhere} This instance of query.
+        * @throws {Error} Will throw an error if the property is not a non empty string or some filter value is undefined.
     */
     and(property, filter) {
-        let obj = {};
-        obj[property] = filter;
-        this._appendCondition('AND', property, filter);
+        if (property instanceof OGMNeoWhere) {
+            this._appendGroup('AND', property);
+        } else {
+            this._appendCondition('AND', property, filter);
+        }
         return this;
     }
 
     /**
         * Add OR filter constraint to this query object.
         *
-        * @param {string} property - Name of the property that the filter will be applied.
+        * @param {string|OGMNeoWhere} property - Name of the property that the filter will be applied, or a where object that will be added as a parenthesized group.
         * @param {object} filter - Filter that will be applied. Example: {$eq: 'v'}. 
-        Possible filters are: $eq(equals), $lt(lessThan),$lte(lessThanOrEqual), $gt(greaterThan), $gte(greaterThanOrEqual), $ne(not equals) and for string properties $regex, $startswith, $endswith and $contains
+        Possible filters are: $eq(equals), $lt(lessThan),$lte(lessThanOrEqual), $gt(greaterThan), $gte(greaterThanOrEqual), $ne(not equals), $in, $nin(not in), $exists, $isNull, $between([min, max] inclusive), for list properties $all, $any, $size and $elemMatch and for string properties $regex, $startswith, $endswith, $contains and their case-insensitive versions $iEq, $iStartsWith, $iEndsWith and $iContains, and for point properties $withinDistance([point, distance] where point is like {latitude, longitude} and distance is in meters, or in units for cartesian points)
         * @returns {OGMNeoWhere} This instance of query.
+        * @throws {Error} Will throw an error if the property is not a non empty string or some filter value is undefined.
     */
     or(property, filter) {
-        let obj = {};
-        obj[property] = filter;
-        this._appendCondition('OR', property, filter);
+        if (property instanceof OGMNeoWhere) {
+            this._appendGroup('OR', property);
+        } else {
+            this._appendCondition('OR', property, filter);
+        }
         return this;
     }
 
     /**
-     * The cypher representation of the where clause.
+     * The cypher representation of the where clause. Values are referenced as parameters, see params.
      * @type {string}
     */
     get clause() {
-        let clause = '';
-        this.conditions.forEach((condition) => {
-            let obj = {};
-            obj[condition.property] = condition.filter;
-            clause += ` ${condition.operator} ${this._conditionToQuery(obj)}`;
-        });
-        return clause.trim();
+        return this._build().cypher;
+    }
+
+    /**
+     * The parameters referenced by the where clause, keyed by their generated names.
+     * @type {object}
+    */
+    get params() {
+        return this._build().params;
+    }
+
+    /**
+     * The cypher clause and its parameters as a pair.
+     * @type {object}
+    */
+    get statement() {
+        return this._build();
     }
 
     get conditions() {
@@ -96,83 +262,169 @@ class OGMNeoWhere {
     }
 
     _appendCondition(operator, property, filter) {
+        if (!_.isString(property) || _.isEmpty(property)) {
+            throw new Error('The where property must be a non empty string');
+        }
+        this._validateFilterValues(property, filter);
         this._conditions.push({ operator: operator, property: property, filter: filter });
     }
 
-    _conditionToQuery(filter) {
+    // Undefined values can't be sent as parameters, so they are rejected instead of matching nothing.
+    _validateFilterValues(property, filter) {
+        if (!_.isPlainObject(filter)) {
+            return;
+        }
+        _.keysIn(filter).forEach((key) => {
+            if (_.isUndefined(filter[key])) {
+                throw new Error(`The ${key} filter value of property ${property} must be defined`);
+            } else if (key === '$elemMatch') {
+                this._validateFilterValues(property, filter[key]);
+            }
+        });
+    }
+
+    _appendGroup(operator, where) {
+        this._conditions.push({ operator: operator, where: where, negated: false });
+    }
+
+    _build() {
+        let params = {};
+        return { cypher: this._clauseFor(this._variable, params), params: params };
+    }
+
+    // Nested groups are rendered with the variable of the root where, so rebinding the root rebinds the whole tree.
+    _clauseFor(variable, params) {
+        return this.conditions.reduce((result, condition) => {
+            let statement = this._conditionStatement(condition, variable, params);
+            if (statement === '') {
+                return result;
+            }
+            return (result === '') ? statement : `${result} ${condition.operator} ${statement}`;
+        }, '');
+    }
+
+    _conditionStatement(condition, variable, params) {
+        if (condition.where != null) {
+            let clause = condition.where._clauseFor(variable, params);
+            if (clause === '') {
+                return '';
+            } else if (condition.negated) {
+                return `NOT (${clause})`;
+            }
+            return (condition.where.conditions.length > 1) ? `(${clause})` : clause;
+        }
+        let obj = {};
+        obj[condition.property] = condition.filter;
+        return this._conditionToQuery(obj, params, variable);
+    }
+
+    _conditionToQuery(filter, params = {}, variable = this._variable) {
         if (!_.isEmpty(filter)) {
-            let conditionsMap = {
-                $eq: '=',
-                $lt: '<',
-                $lte: '<=',
-                $gt: '>',
-                $gte: '>=',
-                $ne: '<>',
-                $regex: '=~',
-                $startsWith: 'STARTS WITH',
-                $endsWith: 'ENDS WITH',
-                $contains: 'CONTAINS',
-                $in: 'IN',
-                $exists: 'EXISTS'
-            };
             let property = _.first(_.keysIn(filter));
-            let conditionKeys = _.keysIn(filter[property]);
-            let conditions = filter[property];
-            return conditionKeys.reduce((result, key) => {
-                return this._propertyStatement(conditionsMap, conditions, result, key, property);
-            }, '');
+            return this._fieldConditions(`${variable}.${this._identifier(property)}`, filter[property], params, variable);
         }
         return '';
     }
 
-    _propertyStatement(conditionsMap, conditions, result, key, property) {
+    // Property names that are not plain identifiers are quoted with backticks, so they can't change the clause.
+    _identifier(property) {
+        return (/^[A-Za-z_][A-Za-z0-9_]*$/.test(property)) ? property : `\`${property.replace(/`/g, '``')}\``;
+    }
+
+    // The depth is the number of $elemMatch around the field, a field with depth above zero is a list element variable.
+    _fieldConditions(field, conditions, params, variable, depth = 0) {
+        return _.keysIn(conditions).reduce((result, key) => {
+            return this._propertyStatement(conditionsMap, conditions, result, key, field, params, variable, depth);
+        }, '');
+    }
+
+    _propertyStatement(conditionsMap, conditions, result, key, field, params, variable, depth = 0) {
         let operator = conditionsMap[key];
         let prefix = ((result !== '') ? result + ' AND ' : '');
-        if (operator && this._isFilterValid(operator, conditions[key])) {
-            let queryValue = '';
-            if (operator === 'IN' && _.isArray(conditions[key])) {
-                queryValue = `[${this._valueForArray(conditions[key])}]`;
+        let caseInsensitive = _.includes(caseInsensitiveConditions, key);
+        if (operator && this._isFilterValid(operator, conditions[key], caseInsensitive)) {
+            let value = null;
+            if (_.includes(listOperators, operator)) {
+                let statement = this._listStatement(operator, field, conditions[key], params, variable, depth);
+                return (statement !== '') ? prefix + statement : result;
+            } else if (operator === 'IN' || operator === 'NOT IN') {
+                value = this._valueForArray(conditions[key]);
+            } else if (operator === 'EXISTS' && depth > 0) {
+                return prefix + ((conditions[key]) ? `${field} IS NOT NULL` : `${field} IS NULL`);
             } else if (operator === 'EXISTS') {
-                return prefix + ((conditions[key]) ? `EXISTS(n.${property})` : `NOT EXISTS(n.${property})`);
+                return prefix + ((conditions[key]) ? `EXISTS(${field})` : `NOT EXISTS(${field})`);
+            } else if (operator === 'IS NULL') {
+                return prefix + ((conditions[key]) ? `${field} IS NULL` : `${field} IS NOT NULL`);
+            } else if (operator === 'WITHIN DISTANCE') {
+                let point = this._parameter(params, OGMNeoTypes.toPoint(conditions[key][0]), variable);
+                let distance = this._parameter(params, conditions[key][1], variable);
+                return prefix + `distance(${field}, ${point}) <= ${distance}`;
+            } else if (operator === 'BETWEEN') {
+                let min = this._parameter(params, this._valueOnQuery(conditions[key][0]), variable);
+                let max = this._parameter(params, this._valueOnQuery(conditions[key][1]), variable);
+                return prefix + `${field} >= ${min} AND ${field} <= ${max}`;
             } else {
-                queryValue = this._valueOnQuery(conditions[key]);
+                value = this._valueOnQuery(conditions[key]);
+            }
+            let parameter = this._parameter(params, value, variable);
+            if (operator === 'NOT IN') {
+                return prefix + `NOT ${field} IN ${parameter}`;
+            } else if (caseInsensitive) {
+                return prefix + `toLower(${field}) ${operator} toLower(${parameter})`;
             }
-            return prefix + `${this._variable}.${property} ${operator} ${queryValue}`;
+            return prefix + `${field} ${operator} ${parameter}`;
         }
         return result;
     }
 
-    _isFilterValid(operator, value) {
+    // Each nesting depth iterates with its own variable, x, x1, x2..., so nested predicates don't shadow the outer elements.
+    _listStatement(operator, field, value, params, variable, depth = 0) {
+        let element = (depth > 0) ? `x${depth}` : 'x';
+        if (operator === 'ALL') {
+            return `ALL(${element} IN ${this._parameter(params, this._valueForArray(value), variable)} WHERE ${element} IN ${field})`;
+        } else if (operator === 'ANY') {
+            return `ANY(${element} IN ${field} WHERE ${element} IN ${this._parameter(params, this._valueForArray(value), variable)})`;
+        } else if (operator === 'SIZE') {
+            return `size(${field}) = ${this._parameter(params, value, variable)}`;
+        }
+        let elementConditions = this._fieldConditions(element, value, params, variable, depth + 1);
+        return (elementConditions !== '') ? `ANY(${element} IN ${field} WHERE ${elementConditions})` : '';
+    }
+
+    _isFilterValid(operator, value, caseInsensitive = false) {
         var stringOnlyOperators = ['=~', 'STARTS WITH', 'ENDS WITH', 'CONTAINS'];
-        if (_.includes(stringOnlyOperators, operator)) {
+        if (caseInsensitive || _.includes(stringOnlyOperators, operator)) {
             return _.isString(value);
-        }else if (operator === 'IN') {
+        }else if (_.includes(['IN', 'NOT IN', 'ALL', 'ANY'], operator)) {
             return _.isArray(value);
-        }else if (operator === 'EXISTS') {
+        }else if (operator === 'EXISTS' || operator === 'IS NULL') {
             return _.isBoolean(value);
+        }else if (operator === 'BETWEEN') {
+            return _.isArray(value) && value.length === 2 && !_.some(value, _.isNil);
+        }else if (operator === 'WITHIN DISTANCE') {
+            return _.isArray(value) && value.length === 2 && OGMNeoTypes.isPointLike(value[0]) && _.isFinite(value[1]) && value[1] >= 0;
+        }else if (operator === 'SIZE') {
+            return _.isInteger(value) && value >= 0;
+        }else if (operator === 'ELEM MATCH') {
+            return _.isPlainObject(value) && !_.isEmpty(value);
         }
         return true;
     }
 
+    // Registers the value on params under a generated name and returns the cypher placeholder for it.
+    _parameter(params, value, variable) {
+        let name = `where_${variable}_${_.size(params)}`;
+        params[name] = value;
+        return `{${name}}`;
+    }
+
     _valueOnQuery(value) {
-        if (_.isNull(value)) {
-            return 'null';
-        } else if (_.isString(value)) {
-            return `'${value}'`;
-        } if (_.isDate(value)) {
-            return `${value.getTime()}`;
-        } else {
-            return `${value}`;
-        }
+        return OGMNeoTypes.toNeo4j(value);
     }
 
     _valueForArray(array) {
-        return array.reduce((result, current) => {
-            if (_.isString(current) || _.isNumber(current) || _.isNull(current)) {
-                return result + `${(result === '') ? '' : ','} ${this._valueOnQuery(current)} `;
-            }
-            return result;
-        }, '');
+        return array.filter(current => _.isString(current) || _.isNumber(current) || _.isNull(current) || _.isDate(current) || OGMNeoTypes.isBigInt(current))
+            .map(current => this._valueOnQuery(current));
     }
 }
 
@@ -5,6 +5,9 @@ const _ = require('lodash');
 
 var driver;
 var logCypher = false;
+var integerStrategy = 'number';
+var nativeTypes = false;
+const integerStrategies = ['number', 'string', 'bigint'];
 /**
     * @class OGMNeo
  */
@@ -91,6 +94,54 @@ class OGMNeo {
             logCypher = value;
         }
     }
+
+    /**
+        * Returns how neo4j 64-bit integers, like ids and integer properties, are converted when read. Default is number.
+        *
+        * @static
+        * @return {string} The integer strategy: number, string or bigint.
+    */
+    static get integerStrategy() {
+        return integerStrategy;
+    }
+
+    /**
+        * Set how neo4j 64-bit integers, like ids and integer properties, are converted when read.
+        * With number, integers out of the javascript safe integer range throw an error when parsed. With string or bigint they keep every digit.
+        *
+        * @static
+        * @param {string} - The integer strategy: number, string or bigint.
+        * @throws {Error} Will throw an error if the strategy is not one of number, string or bigint.
+    */
+    static set integerStrategy(value) {
+        if (!_.includes(integerStrategies, value)) {
+            throw new Error(`The integer strategy must be one of ${integerStrategies.join(', ')}`);
+        }
+        integerStrategy = value;
+    }
+
+    /**
+        * Returns property that defines if javascript Dates and points are stored as neo4j temporal and spatial types. Default is false, dates are stored as epoch milliseconds.
+        *
+        * @static
+        * @return {boolean} True if native types are enabled.
+    */
+    static get nativeTypesEnabled() {
+        return nativeTypes;
+    }
+
+    /**
+        * Set the property that defines if javascript Dates and points are stored as neo4j temporal and spatial types.
+        * When enabled, Dates are stored as DateTime, objects like {latitude, longitude} as Points, and temporal and spatial values are converted back when read. See OGMNeoTypes.
+        *
+        * @static
+        * @param {boolean} - If native types are enabled or not.
+    */
+    static set nativeTypesEnabled(value) {
+        if (_.isBoolean(value)) {
+            nativeTypes = value;
+        }
+    }
 }
 
 module.exports = OGMNeo;
\ No newline at end of file